@@ -45,29 +45,63 @@ const Memory = {
   stored in memory.
 
   We'll use the first 1000 (0 - 999) slots as working space for our code to use.
+  The last 100 of those (900 - 999) are used for the 'stack' (more on that in the
+  CPU section), so programs which use the stack shouldn't store anything else there.
   The next 1000 (1000 - 1999) we'll load our program code into, and that's where
   it will be executed from.
-  The final 1000 slots will be used to communicate with the input and output (I/O)
-  devices.
+  The next 2000 slots (2000 - 3999) will be used to communicate with the input and
+  output (I/O) devices.
   2000 - 2003: the keycode of a key which is currently pressed, from most recently
     to least recently started
   2010, 2011: the x and y position of the mouse within the screen.
   2012: the address of the pixel the mouse is currently on
   2013: mouse button status (0 = up, 1 = down)
   2050: a random number which changes before every instruction
-  2051 - 2099: unused
-  2100 - 2999: The content of the screen, specifically the color values of each
-    of the pixels of the 30x30 pixel screen, row by row, from the top left.
-    For example, the top row uses slots 2100 - 2129, and the bottom row uses
-    slots 2970 - 3000.
-  3000 - 3008: Memory addresses used to control 3 channels of audio output. This
-  computer is too simple to play recorded sounds, but can simple tones, which you
-  can control by setting the addresses for 'wavetype', frequency and volume of
-  each channel.
+  2051: the time since the program started, in milliseconds
+  2052 - 2055: the hardware timer: reload value, prescaler, counter and expired
+    flag (see the Timer component in the CPU section)
+  2060 - 2066: the interrupt controller (see the interrupts part of the CPU section)
+  2067 - 2069: unused
+  2070 - 2079: the display registers: the display mode (0 for pixel mode, 1 for
+    text mode), the screen resolution, the addresses of the two 'framebuffer'
+    pages (the video memory which is shown on the screen), which page is shown,
+    the page flip register, the palette mode (16 or 256 colors), which sprites
+    have collided (2077), and the width and height of the screen (see the
+    Display section)
+  2080 - 2087: the DMA controller, which copies and fills blocks of memory (see
+    the DMA component in the CPU section)
+  2088 - 2099: unused
+  2100 - 2999: The content of the screen. In pixel mode, this is the color values
+    of each of the pixels of the 30x30 pixel screen, row by row, from the top
+    left. For example, the top row uses slots 2100 - 2129, and the bottom row
+    uses slots 2970 - 3000. In text mode, it's the characters on the screen and
+    their colors (see the Display section). The higher resolutions need more
+    video memory than this, so programs using them need to move the framebuffer
+    somewhere else, like the extended video memory.
+  3000 - 3011: Memory addresses used to control 4 channels of audio output,
+  which can play simple tones, which you can control by setting the addresses
+  for 'wavetype', frequency and volume of each channel.
+  3012 - 3019: unused
+  3020 - 3039: the volume 'envelope' and pulse width of each audio channel (see
+    the Audio section)
+  3040 - 3045: the PCM channel, which plays recorded sounds from memory (see the
+    Audio section)
+  3046 - 3099: unused
+  3100 - 3163: the sprite attribute table: 8 values for each of the 8 sprites
+    (see the Display section)
+  3164 - 3199: unused
+  3200 - 3967: the color palette: the red, green and blue values of each color
+    (see the Display section)
+  3968 - 3999: unused
+  4000 - 32767: extended video memory, which is big enough to hold a couple of
+    screens at the highest resolution. Programs which don't need it can use it
+    for anything else.
   */
-  TOTAL_MEMORY_SIZE: 3100,
+  TOTAL_MEMORY_SIZE: 32768,
   WORKING_MEMORY_START: 0,
   WORKING_MEMORY_END: 1000,
+  STACK_START: 900,
+  STACK_END: 1000,
   PROGRAM_MEMORY_START: 1000,
   PROGRAM_MEMORY_END: 2000,
   KEYCODE_0_ADDRESS: 2000,
@@ -79,6 +113,35 @@ const Memory = {
   MOUSE_BUTTON_ADDRESS: 2013,
   RANDOM_NUMBER_ADDRESS: 2050,
   CURRENT_TIME_ADDRESS: 2051,
+  TIMER_RELOAD_ADDRESS: 2052,
+  TIMER_PRESCALER_ADDRESS: 2053,
+  TIMER_COUNTER_ADDRESS: 2054,
+  TIMER_EXPIRED_ADDRESS: 2055,
+  INTERRUPT_ENABLE_MASK_ADDRESS: 2060,
+  INTERRUPT_PENDING_ADDRESS: 2061,
+  INTERRUPT_VECTOR_TIMER_ADDRESS: 2062,
+  INTERRUPT_VECTOR_KEY_DOWN_ADDRESS: 2063,
+  INTERRUPT_VECTOR_KEY_UP_ADDRESS: 2064,
+  INTERRUPT_VECTOR_VBLANK_ADDRESS: 2065,
+  INTERRUPT_KEYCODE_ADDRESS: 2066,
+  DISPLAY_MODE_ADDRESS: 2070,
+  DISPLAY_RESOLUTION_ADDRESS: 2071,
+  FRAMEBUFFER_ADDRESS: 2072,
+  PAGE_1_FRAMEBUFFER_ADDRESS: 2073,
+  DISPLAY_PAGE_ADDRESS: 2074,
+  PAGE_FLIP_ADDRESS: 2075,
+  PALETTE_MODE_ADDRESS: 2076,
+  SPRITE_COLLISIONS_ADDRESS: 2077,
+  DISPLAY_WIDTH_ADDRESS: 2078,
+  DISPLAY_HEIGHT_ADDRESS: 2079,
+  DMA_SOURCE_ADDRESS: 2080,
+  DMA_DESTINATION_ADDRESS: 2081,
+  DMA_LENGTH_ADDRESS: 2082,
+  DMA_ROWS_ADDRESS: 2083,
+  DMA_SOURCE_STRIDE_ADDRESS: 2084,
+  DMA_DESTINATION_STRIDE_ADDRESS: 2085,
+  DMA_FILL_VALUE_ADDRESS: 2086,
+  DMA_START_ADDRESS: 2087,
   VIDEO_MEMORY_START: 2100,
   VIDEO_MEMORY_END: 3000,
   AUDIO_CH1_WAVETYPE_ADDRESS: 3000,
@@ -90,6 +153,21 @@ const Memory = {
   AUDIO_CH3_WAVETYPE_ADDRESS: 3006,
   AUDIO_CH3_FREQUENCY_ADDRESS: 3007,
   AUDIO_CH3_VOLUME_ADDRESS: 3008,
+  AUDIO_CH4_WAVETYPE_ADDRESS: 3009,
+  AUDIO_CH4_FREQUENCY_ADDRESS: 3010,
+  AUDIO_CH4_VOLUME_ADDRESS: 3011,
+  AUDIO_ENVELOPES_START: 3020,
+  AUDIO_PCM_BUFFER_ADDRESS: 3040,
+  AUDIO_PCM_LENGTH_ADDRESS: 3041,
+  AUDIO_PCM_SAMPLE_RATE_ADDRESS: 3042,
+  AUDIO_PCM_LOOP_ADDRESS: 3043,
+  AUDIO_PCM_VOLUME_ADDRESS: 3044,
+  AUDIO_PCM_CONTROL_ADDRESS: 3045,
+  SPRITE_TABLE_START: 3100,
+  SPRITE_TABLE_END: 3164,
+  PALETTE_START: 3200,
+  PALETTE_END: 3968,
+  EXTENDED_VIDEO_MEMORY_START: 4000,
 
   // The program will be loaded into the region of memory starting at this slot.
   PROGRAM_START: 1000,
@@ -99,9 +177,29 @@ const Memory = {
     if (isNaN(value)) {
       throw new Error(`tried to write to an invalid value at ${address}`);
     }
+    // each slot holds one 'word' (see the CPU section), so a value which isn't a
+    // whole number or which is too big or small to fit can't be stored
+    if (!CPU.fitsInWord(value)) {
+      throw new Error(`tried to write ${value} at ${address}, which doesn't fit in a ${CPU.wordSize} bit word`);
+    }
     if (address < 0 || address >= this.TOTAL_MEMORY_SIZE) {
       throw new Error('tried to write to an invalid memory address');
     }
+    if (Debugger.watchpoints.length > 0) Debugger.checkWatchpoints('write', address, this.ram[address], value);
+    this.write(address, value);
+  },
+
+  /*
+  The simulated hardware (like the input devices) writes to memory through here,
+  rather than through 'set', because it doesn't need to be checked like values
+  written by the program do: the hardware only writes values which fit in a word
+  of any of the word sizes (see the CPU section). Either way, every write ends up
+  here, so the debugger can keep a history of what changed (see the History
+  component).
+  */
+  write(address, value) {
+    if (this.ram[address] === value) return;
+    History.recordWrite(address, this.ram[address], value);
     this.ram[address] = value;
   },
 
@@ -110,6 +208,7 @@ const Memory = {
     if (address < 0 || address >= this.TOTAL_MEMORY_SIZE) {
       throw new Error('tried to read from an invalid memory address');
     }
+    if (Debugger.watchpoints.length > 0) Debugger.checkWatchpoints('read', address, this.ram[address], this.ram[address]);
     return this.ram[address];
   },
 };
@@ -197,7 +296,8 @@ const CPU = {
       },
     },
     
-    // Next, some instructions for performing arithmetic
+    // Next, some instructions for performing arithmetic. These also update the
+    // flags in the 'status' register (see below)
     add: {
       opcode: 9010,
       description: `add the value at the 'a' address with the value at the 'b'
@@ -206,7 +306,7 @@ const CPU = {
       execute(aAddress, bAddress, resultAddress) {
         const a = Memory.get(aAddress);
         const b = Memory.get(bAddress);
-        const result = a + b;
+        const result = CPU.add(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -217,7 +317,7 @@ const CPU = {
       operands: [['a', 'address'], ['b', 'constant'], ['result', 'address']],
       execute(aAddress, b, resultAddress) {
         const a = Memory.get(aAddress);
-        const result = a + b;
+        const result = CPU.add(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -229,7 +329,7 @@ const CPU = {
       execute(aAddress, bAddress, resultAddress) {
         const a = Memory.get(aAddress);
         const b = Memory.get(bAddress);
-        const result = a - b;
+        const result = CPU.subtract(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -240,7 +340,7 @@ const CPU = {
       operands: [['a', 'address'], ['b', 'constant'], ['result', 'address']],
       execute(aAddress, b, resultAddress) {
         const a = Memory.get(aAddress);
-        const result = a - b;
+        const result = CPU.subtract(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -252,7 +352,7 @@ const CPU = {
       execute(aAddress, bAddress, resultAddress) {
         const a = Memory.get(aAddress);
         const b = Memory.get(bAddress);
-        const result = a * b;
+        const result = CPU.multiply(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -263,7 +363,7 @@ const CPU = {
       operands: [['a', 'address'], ['b', 'constant'], ['result', 'address']],
       execute(aAddress, b, resultAddress) {
         const a = Memory.get(aAddress);
-        const result = a * b;
+        const result = CPU.multiply(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -276,7 +376,7 @@ const CPU = {
         const a = Memory.get(aAddress);
         const b = Memory.get(bAddress);
         if (b === 0) throw new Error('tried to divide by zero');
-        const result = Math.floor(a / b);
+        const result = CPU.divide(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -288,7 +388,7 @@ const CPU = {
       execute(aAddress, b, resultAddress) {
         const a = Memory.get(aAddress);
         if (b === 0) throw new Error('tried to divide by zero');
-        const result = Math.floor(a / b);
+        const result = CPU.divide(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -301,7 +401,7 @@ const CPU = {
         const a = Memory.get(aAddress);
         const b = Memory.get(bAddress);
         if (b === 0) throw new Error('tried to modulo by zero');
-        const result = a % b;
+        const result = CPU.modulo(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -312,13 +412,153 @@ const CPU = {
       operands: [['a', 'address'], ['b', 'constant'], ['result', 'address']],
       execute(aAddress, b, resultAddress) {
         const a = Memory.get(aAddress);
-        const result = a % b;
         if (b === 0) throw new Error('tried to modulo by zero');
+        const result = CPU.modulo(a, b);
         Memory.set(resultAddress, result);
       },
     },
     
-    // some instructions for comparing values
+    // some instructions for operating on the individual bits of values (see
+    // 'toWord' below for how values are turned into bits)
+    and: {
+      opcode: 9060,
+      description: `bitwise AND the value at the 'a' address and the value at the
+  'b' address and store the result at the 'result' address`,
+      operands: [['a', 'address'], ['b', 'address'], ['result', 'address']],
+      execute(aAddress, bAddress, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        const b = CPU.toWord(Memory.get(bAddress));
+        const result = CPU.logicResult(a & b);
+        Memory.set(resultAddress, result);
+      },
+    },
+    and_constant: {
+      opcode: 9061,
+      description: `bitwise AND the value at the 'a' address and the constant value 'b'
+  and store the result at the 'result' address`,
+      operands: [['a', 'address'], ['b', 'constant'], ['result', 'address']],
+      execute(aAddress, bValue, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        const b = CPU.toWord(bValue);
+        const result = CPU.logicResult(a & b);
+        Memory.set(resultAddress, result);
+      },
+    },
+    or: {
+      opcode: 9062,
+      description: `bitwise OR the value at the 'a' address and the value at the
+  'b' address and store the result at the 'result' address`,
+      operands: [['a', 'address'], ['b', 'address'], ['result', 'address']],
+      execute(aAddress, bAddress, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        const b = CPU.toWord(Memory.get(bAddress));
+        const result = CPU.logicResult(a | b);
+        Memory.set(resultAddress, result);
+      },
+    },
+    or_constant: {
+      opcode: 9063,
+      description: `bitwise OR the value at the 'a' address and the constant value 'b'
+  and store the result at the 'result' address`,
+      operands: [['a', 'address'], ['b', 'constant'], ['result', 'address']],
+      execute(aAddress, bValue, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        const b = CPU.toWord(bValue);
+        const result = CPU.logicResult(a | b);
+        Memory.set(resultAddress, result);
+      },
+    },
+    xor: {
+      opcode: 9064,
+      description: `bitwise XOR (exclusive OR) the value at the 'a' address and the value at the
+  'b' address and store the result at the 'result' address`,
+      operands: [['a', 'address'], ['b', 'address'], ['result', 'address']],
+      execute(aAddress, bAddress, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        const b = CPU.toWord(Memory.get(bAddress));
+        const result = CPU.logicResult(a ^ b);
+        Memory.set(resultAddress, result);
+      },
+    },
+    xor_constant: {
+      opcode: 9065,
+      description: `bitwise XOR (exclusive OR) the value at the 'a' address and the constant value 'b'
+  and store the result at the 'result' address`,
+      operands: [['a', 'address'], ['b', 'constant'], ['result', 'address']],
+      execute(aAddress, bValue, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        const b = CPU.toWord(bValue);
+        const result = CPU.logicResult(a ^ b);
+        Memory.set(resultAddress, result);
+      },
+    },
+    not: {
+      opcode: 9066,
+      description: `flip every bit of the value at the 'a' address and store the
+  result at the 'result' address`,
+      operands: [['a', 'address'], ['result', 'address']],
+      execute(aAddress, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        Memory.set(resultAddress, CPU.logicResult(~a));
+      },
+    },
+    not_constant: {
+      opcode: 9067,
+      description: `flip every bit of the constant value 'a' and store the result at
+  the 'result' address`,
+      operands: [['a', 'constant'], ['result', 'address']],
+      execute(aValue, resultAddress) {
+        const a = CPU.toWord(aValue);
+        Memory.set(resultAddress, CPU.logicResult(~a));
+      },
+    },
+    shift_left: {
+      opcode: 9070,
+      description: `shift the bits of the value at the 'a' address left by the
+  number of places given by the value at the 'amount' address, filling in with 0
+  bits on the right, and store the result at the 'result' address`,
+      operands: [['a', 'address'], ['amount', 'address'], ['result', 'address']],
+      execute(aAddress, amountAddress, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        Memory.set(resultAddress, CPU.shiftLeft(a, Memory.get(amountAddress)));
+      },
+    },
+    shift_left_constant: {
+      opcode: 9071,
+      description: `shift the bits of the value at the 'a' address left by the
+  constant number of places 'amount', filling in with 0 bits on the right, and
+  store the result at the 'result' address`,
+      operands: [['a', 'address'], ['amount', 'constant'], ['result', 'address']],
+      execute(aAddress, amount, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        Memory.set(resultAddress, CPU.shiftLeft(a, amount));
+      },
+    },
+    shift_right: {
+      opcode: 9072,
+      description: `shift the bits of the value at the 'a' address right by the
+  number of places given by the value at the 'amount' address, keeping the sign
+  of the value, and store the result at the 'result' address`,
+      operands: [['a', 'address'], ['amount', 'address'], ['result', 'address']],
+      execute(aAddress, amountAddress, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        Memory.set(resultAddress, CPU.shiftRight(a, Memory.get(amountAddress)));
+      },
+    },
+    shift_right_constant: {
+      opcode: 9073,
+      description: `shift the bits of the value at the 'a' address right by the
+  constant number of places 'amount', keeping the sign of the value, and store
+  the result at the 'result' address`,
+      operands: [['a', 'address'], ['amount', 'constant'], ['result', 'address']],
+      execute(aAddress, amount, resultAddress) {
+        const a = CPU.toWord(Memory.get(aAddress));
+        Memory.set(resultAddress, CPU.shiftRight(a, amount));
+      },
+    },
+
+    // some instructions for comparing values. These set the flags in the
+    // 'status' register in the same way as subtracting 'b' from 'a' would
     compare: {
       opcode: 9090,
       description: `compare the value at the 'a' address and the value at the 'b'
@@ -328,12 +568,7 @@ const CPU = {
       execute(aAddress, bAddress, resultAddress) {
         const a = Memory.get(aAddress);
         const b = Memory.get(bAddress);
-        let result = 0;
-        if (a < b) {
-          result = -1;
-        } else if (a > b) {
-          result = 1;
-        }
+        const result = CPU.compare(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -345,12 +580,7 @@ const CPU = {
       operands: [['a', 'address'], ['b', 'constant'], ['result', 'address']],
       execute(aAddress, b, resultAddress) {
         const a = Memory.get(aAddress);
-        let result = 0;
-        if (a < b) {
-          result = -1;
-        } else if (a > b) {
-          result = 1;
-        }
+        const result = CPU.compare(a, b);
         Memory.set(resultAddress, result);
       },
     },
@@ -419,7 +649,125 @@ const CPU = {
         }
       },
     },
+    'branch_if_zero':  {
+      opcode: 9105,
+      description: `if the 'zero' status flag is set, set the program counter to the
+  address of the label specified, so the program continues from there`,
+      operands: [['destination', 'label']],
+      execute(labelAddress) {
+        if (CPU.getFlag(CPU.FLAG_ZERO)) {
+          CPU.programCounter = labelAddress;
+        }
+      },
+    },
+    'branch_if_negative':  {
+      opcode: 9106,
+      description: `if the 'negative' status flag is set, set the program counter to
+  the address of the label specified, so the program continues from there`,
+      operands: [['destination', 'label']],
+      execute(labelAddress) {
+        if (CPU.getFlag(CPU.FLAG_NEGATIVE)) {
+          CPU.programCounter = labelAddress;
+        }
+      },
+    },
+    'branch_if_carry':  {
+      opcode: 9107,
+      description: `if the 'carry' status flag is set, set the program counter to the
+  address of the label specified, so the program continues from there`,
+      operands: [['destination', 'label']],
+      execute(labelAddress) {
+        if (CPU.getFlag(CPU.FLAG_CARRY)) {
+          CPU.programCounter = labelAddress;
+        }
+      },
+    },
+    'branch_if_overflow':  {
+      opcode: 9108,
+      description: `if the 'overflow' status flag is set, set the program counter to
+  the address of the label specified, so the program continues from there`,
+      operands: [['destination', 'label']],
+      execute(labelAddress) {
+        if (CPU.getFlag(CPU.FLAG_OVERFLOW)) {
+          CPU.programCounter = labelAddress;
+        }
+      },
+    },
     
+    // some instructions for using the stack (see the 'stackPointer' below)
+    'call':  {
+      opcode: 9110,
+      description: `push the address of the next instruction onto the stack, then
+  set the program counter to the address of the label specified, so the program
+  continues from there until a 'return' instruction is reached`,
+      operands: [['destination', 'label']],
+      execute(labelAddress) {
+        CPU.pushStack(CPU.programCounter);
+        CPU.callDepth++;
+        CPU.programCounter = labelAddress;
+      },
+    },
+    'return':  {
+      opcode: 9111,
+      description: `pop an address off the stack and set the program counter to
+  it, so the program continues from after the 'call' instruction which pushed it`,
+      operands: [],
+      execute() {
+        CPU.programCounter = CPU.popStack();
+        CPU.callDepth = Math.max(0, CPU.callDepth - 1);
+      },
+    },
+    'push':  {
+      opcode: 9120,
+      description: 'push the value at the source address onto the top of the stack',
+      operands: [['source', 'address']],
+      execute(sourceAddress) {
+        CPU.pushStack(Memory.get(sourceAddress));
+      },
+    },
+    'pop':  {
+      opcode: 9121,
+      description: `remove the value from the top of the stack and store it at the
+  destination address`,
+      operands: [['destination', 'address']],
+      execute(destinationAddress) {
+        Memory.set(destinationAddress, CPU.popStack());
+      },
+    },
+
+    // some instructions for controlling interrupts (see the Interrupts
+    // component below)
+    'enable_interrupts': {
+      opcode: 9130,
+      description: `allow interrupts which are enabled in the interrupt enable mask
+  to interrupt the program`,
+      operands: [],
+      execute() {
+        CPU.interruptsEnabled = true;
+      },
+    },
+    'disable_interrupts': {
+      opcode: 9131,
+      description: `stop any interrupts from interrupting the program, until
+  interrupts are enabled again`,
+      operands: [],
+      execute() {
+        CPU.interruptsEnabled = false;
+      },
+    },
+    'return_from_interrupt': {
+      opcode: 9132,
+      description: `at the end of an interrupt handler, restore the status flags and
+  program counter from the stack and enable interrupts again, so the interrupted
+  program continues from where it was`,
+      operands: [],
+      execute() {
+        CPU.status = CPU.popStack();
+        CPU.programCounter = CPU.popStack();
+        CPU.interruptsEnabled = true;
+      },
+    },
+
     // some additional miscellanous instructions
     'data': {
       opcode: 9200,
@@ -449,6 +797,162 @@ const CPU = {
     },
   },
   
+  /*
+  Real CPUs work with values of a fixed number of bits (binary digits) called a
+  'word', and so does ours. Every value in memory must fit in a word, and the
+  result of every arithmetic or bitwise instruction is made to fit in a word.
+  Values are signed integers in the 'two's complement' format, where the highest
+  bit indicates a negative number. By default words are 32 bits, so they can hold
+  values from -2147483648 to 2147483647, but you can choose a smaller word size
+  (24 bits, for -8388608 to 8388607) to see the effects more easily. Words can't
+  be any smaller than that, because they still need to be able to hold every
+  memory address, and values like the frequencies of the audio channels.
+
+  Before being used, each operand is turned into a word by dropping any
+  fractional part and any bits higher than the word size. The result is turned
+  back into a word in the same way, so it 'wraps around' rather than overflowing,
+  just like on a real CPU. For example, with 32 bit words, adding 1 to 2147483647
+  results in -2147483648, and shifting 1 left by 31 places also results in
+  -2147483648.
+  */
+  WORD_SIZES: [24, 32],
+  wordSize: 32,
+
+  toWord(value) {
+    const range = Math.pow(2, this.wordSize);
+    const unsigned = ((Math.trunc(value) % range) + range) % range;
+    return unsigned >= range / 2 ? unsigned - range : unsigned;
+  },
+
+  // the same bits as the word, but interpreted as if it can't be negative
+  toUnsignedWord(value) {
+    const range = Math.pow(2, this.wordSize);
+    return ((this.toWord(value) % range) + range) % range;
+  },
+
+  fitsInWord(value) {
+    return Number.isInteger(value) && this.toWord(value) === value;
+  },
+
+  /*
+  The 'status' register holds a set of 'flags', single bits which record some
+  facts about the result of the most recent arithmetic, bitwise or comparison
+  instruction, so the branch_if_* instructions can make decisions based on them:
+
+  - carry: an addition or multiplication produced a result too large to fit in
+    the word when the values are treated as unsigned (this is how you would add
+    numbers bigger than a word, one word at a time), or a subtraction needed to
+    'borrow'
+  - overflow: the correct signed result didn't fit in the word, so it wrapped
+    around (eg. adding two positive numbers produced a negative number)
+  - zero: the result was zero (so for a comparison, the values were equal)
+  - negative: the result was negative (so for a comparison, 'a' was less than
+    'b', unless the overflow flag is also set)
+  */
+  FLAG_CARRY: 1,
+  FLAG_OVERFLOW: 2,
+  FLAG_ZERO: 4,
+  FLAG_NEGATIVE: 8,
+  status: 0,
+
+  getFlag(flag) {
+    return (this.status & flag) !== 0;
+  },
+
+  /*
+  Set the flags for the result of an instruction, and return the result turned
+  into a word. 'exactResult' is what the result would be if words had no limit.
+  */
+  setFlagsForResult(exactResult, carry) {
+    const result = this.toWord(exactResult);
+    return this.setFlags(result, carry, result !== exactResult);
+  },
+
+  // like setFlagsForResult, for when we only have the result as a word
+  setFlags(result, carry, overflow) {
+    this.status =
+      (carry ? this.FLAG_CARRY : 0) |
+      (overflow ? this.FLAG_OVERFLOW : 0) |
+      (result === 0 ? this.FLAG_ZERO : 0) |
+      (result < 0 ? this.FLAG_NEGATIVE : 0);
+    return result;
+  },
+
+  // This is the 'arithmetic logic unit' (ALU) of our CPU, which does the math
+  // for the instructions above
+  add(aValue, bValue) {
+    const a = this.toWord(aValue);
+    const b = this.toWord(bValue);
+    const carry = this.toUnsignedWord(a) + this.toUnsignedWord(b) >= Math.pow(2, this.wordSize);
+    return this.setFlagsForResult(a + b, carry);
+  },
+
+  subtract(aValue, bValue) {
+    const a = this.toWord(aValue);
+    const b = this.toWord(bValue);
+    const borrow = this.toUnsignedWord(a) < this.toUnsignedWord(b);
+    return this.setFlagsForResult(a - b, borrow);
+  },
+
+  multiply(aValue, bValue) {
+    const a = this.toWord(aValue);
+    const b = this.toWord(bValue);
+    // a Javascript number can't exactly represent the product of two large 32
+    // bit numbers, so we use Math.imul to get the low 32 bits of the product,
+    // and work out the flags from that instead of from the exact product
+    const result = this.toWord(Math.imul(a, b));
+    // if the product fitted, dividing it by 'a' gets 'b' back
+    const overflow = a !== 0 && result / a !== b;
+    // this product is only rounded when it's above 2^53, which is far too big
+    // to fit anyway, so the comparison is still right
+    const carry = this.toUnsignedWord(a) * this.toUnsignedWord(b) >= Math.pow(2, this.wordSize);
+    return this.setFlags(result, carry, overflow);
+  },
+
+  divide(aValue, bValue) {
+    return this.setFlagsForResult(Math.floor(this.toWord(aValue) / this.toWord(bValue)), false);
+  },
+
+  modulo(aValue, bValue) {
+    return this.setFlagsForResult(this.toWord(aValue) % this.toWord(bValue), false);
+  },
+
+  compare(aValue, bValue) {
+    this.subtract(aValue, bValue);
+    const a = this.toWord(aValue);
+    const b = this.toWord(bValue);
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+  },
+
+  // bitwise instructions can't carry or overflow
+  logicResult(value) {
+    return this.setFlagsForResult(this.toWord(value), false);
+  },
+
+  // you can only shift by a whole number of bits, and not backwards
+  checkShiftAmount(amount) {
+    if (!Number.isInteger(amount)) throw new Error(`tried to shift by ${amount}, which isn't a whole number`);
+    if (amount < 0) throw new Error(`tried to shift by a negative amount ${amount}`);
+  },
+
+  // bits shifted past the top of the word are lost, so shifting left by the word
+  // size or more always results in 0
+  shiftLeft(value, amount) {
+    this.checkShiftAmount(amount);
+    if (amount >= this.wordSize) return this.logicResult(0);
+    return this.logicResult(value * Math.pow(2, amount));
+  },
+
+  // shifting right keeps the sign bit, so negative values stay negative (this is
+  // called an 'arithmetic' shift), and shifting by the word size or more results
+  // in 0 for positive values and -1 for negative values
+  shiftRight(value, amount) {
+    this.checkShiftAmount(amount);
+    return this.logicResult(Math.floor(value / Math.pow(2, Math.min(amount, this.wordSize))));
+  },
+
   /*
   In a real computer, there are small pieces of memory inside the CPU called
   'registers', which just hold one value at a time, but can be accessed
@@ -464,6 +968,42 @@ const CPU = {
   */
   programCounter: Memory.PROGRAM_START,
 
+  /*
+  The 'stack pointer' register holds the address of the value on top of the
+  'stack', a region of working memory which we can 'push' values onto and 'pop'
+  them back off again, last in first out, like a stack of plates. The stack grows
+  downwards from the end of the stack region, so pushing a value decreases the
+  stack pointer and popping one increases it again. When the stack is empty the
+  stack pointer points just past the end of the stack region.
+
+  The stack's main use is for calling 'subroutines' (reusable pieces of code,
+  like functions in Javascript). The 'call' instruction pushes the address of
+  the instruction after it (the 'return address') and then jumps to the
+  subroutine. When the subroutine is finished, the 'return' instruction pops the
+  return address off the stack and jumps back there. Because the return
+  addresses are kept on a stack, subroutines can call other subroutines.
+
+  We'll also keep count of how many subroutine calls we are currently inside,
+  which isn't something a real CPU would need, but is useful for debugging.
+  */
+  stackPointer: Memory.STACK_END,
+  callDepth: 0,
+
+  pushStack(value) {
+    if (this.stackPointer <= Memory.STACK_START) {
+      throw new Error(`stack overflow: can't push more than ${Memory.STACK_END - Memory.STACK_START} values onto the stack`);
+    }
+    this.stackPointer--;
+    Memory.set(this.stackPointer, value);
+  },
+
+  popStack() {
+    if (this.stackPointer >= Memory.STACK_END) {
+      throw new Error('stack underflow: tried to pop a value off the stack when it was empty');
+    }
+    return Memory.get(this.stackPointer++);
+  },
+
   /*
   We also need to keep track of whether the CPU is running or not. The 'break'
   instruction, which is like 'debugger' in Javascript, will be implemented by
@@ -475,10 +1015,32 @@ const CPU = {
   running: false,
   halted: false,
 
+  /*
+  Whether the program can currently be interrupted (see the Interrupts component
+  below). This is turned off while an interrupt is being handled, so that the
+  interrupt handler itself doesn't get interrupted.
+  */
+  interruptsEnabled: false,
+
+  // the number of instructions executed since the CPU was reset
+  cycles: 0,
+
+  // the address of the instruction currently being executed, so the debugger
+  // can tell which instruction read or wrote a memory location
+  instructionAddress: Memory.PROGRAM_START,
+
   reset() {
     this.programCounter = Memory.PROGRAM_START;
+    this.instructionAddress = Memory.PROGRAM_START;
+    this.stackPointer = Memory.STACK_END;
+    this.callDepth = 0;
+    this.status = 0;
+    this.interruptsEnabled = false;
+    this.cycles = 0;
     this.halted = false;
     this.running = false;
+    Timer.reset();
+    DMA.reset();
   },
 
   /*
@@ -489,7 +1051,9 @@ const CPU = {
     if (this.programCounter < Memory.PROGRAM_MEMORY_START || this.programCounter >= Memory.PROGRAM_MEMORY_END) {
       throw new Error(`program counter outside valid program memory region at ${this.programCounter}`);
     }
-    return Memory.get(this.programCounter++);
+    // read ram directly rather than with Memory.get, because fetching the
+    // program's instructions shouldn't trigger watchpoints
+    return Memory.ram[this.programCounter++];
   },
 
   /*
@@ -507,19 +1071,46 @@ const CPU = {
   we'll still need to handle writing output to the output devices (screen, audio).
   */
   step() {
-    Input.updateInputs();
-    const opcode = this.advanceProgramCounter();
-    const instructionName = this.opcodesToInstructions.get(opcode);
-    if (!instructionName) {
-      throw new Error(`Unknown opcode '${opcode}'`);
-    }
+    History.begin();
+    // errors before the instruction is fetched (like an interrupt with no
+    // handler) happen at the instruction which was about to run
+    this.instructionAddress = this.programCounter;
+    try {
+      Input.updateInputs();
+      Display.updateRegisters();
+      Timer.update();
+      if (DMA.stallCycles > 0) {
+        // the DMA controller is using the memory, so the CPU has to wait (but
+        // the input, display and timer updates above still happen)
+        DMA.stallCycles--;
+        this.cycles++;
+        return;
+      }
+      Interrupts.update();
+      this.instructionAddress = this.programCounter;
+      const opcode = this.advanceProgramCounter();
+      const instructionName = this.opcodesToInstructions.get(opcode);
+      if (!instructionName) {
+        throw new Error(`Unknown opcode '${opcode}'`);
+      }
 
-    // read as many values from memory as the instruction takes as operands and
-    // execute the instruction with those operands
-    const operands = this.instructions[instructionName].operands.map(() => 
-      this.advanceProgramCounter()
-    );
-    this.instructions[instructionName].execute.apply(null, operands);
+      // read as many values from memory as the instruction takes as operands and
+      // execute the instruction with those operands
+      const operands = this.instructions[instructionName].operands.map(() => 
+        this.advanceProgramCounter()
+      );
+      this.instructions[instructionName].execute.apply(null, operands);
+      DMA.update();
+      Display.checkSprites();
+      Audio.checkPCM();
+      this.cycles++;
+    } catch (err) {
+      // say where in the program the error happened
+      err.message += ` at ${Assembler.describeAddress(this.instructionAddress)}`;
+      throw err;
+    } finally {
+      History.end();
+    }
   },
 
   init() {
@@ -532,6 +1123,221 @@ const CPU = {
   },
 };
 
+/*
+Rather than constantly checking ('polling') the input memory locations to see if
+something has happened, a program can ask to be 'interrupted' when it does. When
+an interrupt happens, the CPU stops what it was doing, saves the program counter
+and status flags on the stack, and jumps to an 'interrupt handler' in the
+program. When the handler is done, the 'return_from_interrupt' instruction
+restores the saved program counter and flags, so the program continues as if
+nothing happened.
+
+The program controls interrupts with these memory locations:
+- the interrupt enable mask (2060): each bit enables one kind of interrupt, eg.
+  setting it to 1 enables only the timer interrupt, and 15 enables all of them
+- the pending interrupts (2061): each bit is set when that kind of interrupt
+  happens, and cleared when the interrupt is handled
+- the interrupt vector table (2062 - 2065): the addresses of the interrupt
+  handlers for each kind of interrupt. Use copy_address_of_label to set these.
+- the interrupt keycode (2066): the keycode of the key which caused the most
+  recent key down or key up interrupt
+
+Interrupts also need to be turned on with the 'enable_interrupts' instruction.
+If more than one interrupt is pending at once, the one with the lowest number is
+handled first.
+*/
+const Interrupts = {
+  TIMER: 0,
+  KEY_DOWN: 1,
+  KEY_UP: 2,
+  VBLANK: 3,
+
+  NAMES: ['timer', 'key down', 'key up', 'vblank'],
+  VECTOR_ADDRESSES: [
+    Memory.INTERRUPT_VECTOR_TIMER_ADDRESS,
+    Memory.INTERRUPT_VECTOR_KEY_DOWN_ADDRESS,
+    Memory.INTERRUPT_VECTOR_KEY_UP_ADDRESS,
+    Memory.INTERRUPT_VECTOR_VBLANK_ADDRESS,
+  ],
+
+  // called by the devices when something happens which can cause an interrupt
+  raise(interrupt) {
+    Memory.write(Memory.INTERRUPT_PENDING_ADDRESS, Memory.ram[Memory.INTERRUPT_PENDING_ADDRESS] | (1 << interrupt));
+  },
+
+  // called before every instruction
+  update() {
+    if (!CPU.interruptsEnabled) return;
+
+    const ready = Memory.ram[Memory.INTERRUPT_PENDING_ADDRESS] & Memory.ram[Memory.INTERRUPT_ENABLE_MASK_ADDRESS];
+    for (let interrupt = 0; interrupt < this.NAMES.length; interrupt++) {
+      if (ready & (1 << interrupt)) {
+        this.handle(interrupt);
+        return;
+      }
+    }
+  },
+
+  handle(interrupt) {
+    const handlerAddress = Memory.ram[this.VECTOR_ADDRESSES[interrupt]];
+    if (!handlerAddress) {
+      throw new Error(`no interrupt handler address set for the ${this.NAMES[interrupt]} interrupt`);
+    }
+    Memory.write(Memory.INTERRUPT_PENDING_ADDRESS, Memory.ram[Memory.INTERRUPT_PENDING_ADDRESS] & ~(1 << interrupt));
+    CPU.pushStack(CPU.programCounter);
+    CPU.pushStack(CPU.status);
+    CPU.interruptsEnabled = false;
+    CPU.programCounter = handlerAddress;
+  },
+};
+
+/*
+The current time (2051) tells the program how much real time has passed, but how
+many instructions get executed in that time depends on how fast the simulator
+runs. For things which need to happen at a steady rate relative to the program
+itself, like the notes of a song or the frames of a game, we have a hardware
+timer which counts executed instructions (cycles) instead:
+
+- reload value (2052): the number the counter starts from each time
+- prescaler (2053): how many cycles per count, to let the timer count slower (0
+  and 1 both mean one count per cycle)
+- counter (2054): counts down by one every 'prescaler' cycles. When it reaches
+  0, the timer 'expires': the expired flag is set, a timer interrupt is raised,
+  and the counter starts again from the reload value. If the reload value is 0,
+  the timer stops instead, so you can write to the counter directly for a
+  'one shot' timer
+- expired flag (2055): set to 1 when the timer expires. The program can set it
+  back to 0 once it has seen it.
+*/
+const Timer = {
+  // the number of cycles since the counter last counted down
+  prescalerCount: 0,
+
+  reset() {
+    this.prescalerCount = 0;
+  },
+
+  // called before every instruction
+  update() {
+    const reload = Memory.ram[Memory.TIMER_RELOAD_ADDRESS];
+    let counter = Memory.ram[Memory.TIMER_COUNTER_ADDRESS];
+    if (counter <= 0) {
+      if (reload <= 0) return; // timer is stopped
+      counter = reload;
+    }
+
+    this.prescalerCount++;
+    if (this.prescalerCount >= Math.max(1, Memory.ram[Memory.TIMER_PRESCALER_ADDRESS])) {
+      this.prescalerCount = 0;
+      counter--;
+      if (counter === 0) {
+        Memory.write(Memory.TIMER_EXPIRED_ADDRESS, 1);
+        Interrupts.raise(Interrupts.TIMER);
+        counter = Math.max(0, reload);
+      }
+    }
+    Memory.write(Memory.TIMER_COUNTER_ADDRESS, counter);
+  },
+};
+
+/*
+Copying or filling a block of memory one value at a time takes the CPU at least
+three instructions per value (copy, add to the pointer, branch), so just clearing
+the screen takes thousands of cycles. Many computers have a 'DMA' (direct memory
+access) controller, sometimes called a 'blitter', to do this kind of work much
+faster than the CPU could. The program tells the DMA controller what to do by
+writing to its registers:
+
+- source (2080): the address to copy from
+- destination (2081): the address to copy (or fill) to
+- length (2082): how many values to copy (0 does nothing)
+- rows (2083): the number of rows to copy, for copying rectangles of pixels, like
+  a picture into the framebuffer. 0 is the same as 1, so for a plain block of
+  memory you can leave this alone.
+- source stride (2084) and destination stride (2085): the distance from the
+  start of one row to the start of the next. For example, to copy a 5x5 picture
+  to the 30x30 screen, the length would be 5, the rows 5, the source stride 5,
+  and the destination stride 30. 0 means the same as the length.
+- fill value (2086): the value to fill with
+- start (2087): writing 1 here copies from the source to the destination, and
+  writing 2 fills the destination with the fill value. The DMA controller sets it
+  back to 0 when it's done.
+
+The copy or fill starts as soon as the instruction which writes to the start
+register finishes, and works on any memory, not just video memory. While it's
+working, the DMA controller is using the memory, so the CPU has to wait, but it
+moves 4 values per cycle, which is much faster than the CPU could. Only the CPU
+waits: the rest of the hardware keeps going, so the timer keeps counting, and
+the input and display registers keep being updated, during those cycles.
+
+If the source and destination overlap, the copy goes forwards, one value at a
+time from the start, just like a loop in a program would. So copying to a
+destination a little after the source repeats the start of the source, rather
+than moving it.
+*/
+const DMA = {
+  COPY: 1,
+  FILL: 2,
+  VALUES_PER_CYCLE: 4,
+
+  // the number of cycles the CPU still has to wait for the current copy or fill
+  stallCycles: 0,
+
+  reset() {
+    this.stallCycles = 0;
+  },
+
+  // called after every instruction, to start a copy or fill if the program asked
+  update() {
+    const command = Memory.ram[Memory.DMA_START_ADDRESS];
+    if (!command) return;
+    if (command !== this.COPY && command !== this.FILL) {
+      throw new Error(`Invalid DMA command ${command} at address ${Memory.DMA_START_ADDRESS}`);
+    }
+
+    const length = Memory.ram[Memory.DMA_LENGTH_ADDRESS];
+    const rows = Memory.ram[Memory.DMA_ROWS_ADDRESS] || 1;
+    const source = Memory.ram[Memory.DMA_SOURCE_ADDRESS];
+    const destination = Memory.ram[Memory.DMA_DESTINATION_ADDRESS];
+    const sourceStride = Memory.ram[Memory.DMA_SOURCE_STRIDE_ADDRESS] || length;
+    const destinationStride = Memory.ram[Memory.DMA_DESTINATION_STRIDE_ADDRESS] || length;
+    // a row or a number of rows bigger than the whole of memory can't fit, and
+    // checking them one at a time would take forever
+    if (length < 0 || rows < 0 || length > Memory.TOTAL_MEMORY_SIZE || rows > Memory.TOTAL_MEMORY_SIZE) {
+      throw new Error(`Invalid DMA size ${length}x${rows}`);
+    }
+    if (length === 0) {
+      // nothing to copy or fill
+      Memory.write(Memory.DMA_START_ADDRESS, 0);
+      return;
+    }
+    // check everything fits before changing anything
+    for (var row = 0; row < rows; row++) {
+      if (command === this.COPY) this.checkFits('source', source + row * sourceStride, length);
+      this.checkFits('destination', destination + row * destinationStride, length);
+    }
+
+    // one value at a time from the start, even if the source and destination
+    // overlap
+    for (var row = 0; row < rows; row++) {
+      for (var i = 0; i < length; i++) {
+        const value = command === this.COPY
+          ? Memory.get(source + row * sourceStride + i)
+          : Memory.ram[Memory.DMA_FILL_VALUE_ADDRESS];
+        Memory.set(destination + row * destinationStride + i, value);
+      }
+    }
+    Memory.write(Memory.DMA_START_ADDRESS, 0);
+    this.stallCycles = Math.ceil(length * rows / this.VALUES_PER_CYCLE);
+  },
+
+  checkFits(name, start, length) {
+    if (start < 0 || start + length > Memory.TOTAL_MEMORY_SIZE) {
+      throw new Error(`DMA ${name} row at ${start} doesn't fit in memory with length ${length}`);
+    }
+  },
+};
+
 // 3.DISPLAY
 
 const Display = {
@@ -539,6 +1345,177 @@ const Display = {
   SCREEN_HEIGHT: 30,
   SCREEN_PIXEL_SCALE: 20,
 
+  /*
+  Drawing text pixel by pixel takes a lot of work, so like many old computers,
+  the display has a 'text mode' as well as the usual 'pixel mode'. The program
+  selects the mode by writing to the display mode address (2070).
+
+  In text mode, video memory holds a grid of 20 columns by 15 rows of characters
+  instead of pixels, row by row from the top left, in three parts (shown here
+  for the framebuffer at its usual address, 2100):
+  - 2100 - 2399: the character in each position, as an ASCII code (eg. 65 is
+    'A', and 48 is '0'). 0 (or any other code without a character) is blank.
+  - 2400 - 2699: the color ID to draw each character in (its 'foreground').
+  - 2700 - 2999: the color ID to fill in behind each character (its 'background').
+
+  The display draws each character using a picture of it from the 'character
+  ROM' below, a table of tiny bitmaps which is built into the display hardware
+  ('ROM' means 'read only memory', which is used for data which never changes).
+  Each character is 6x8 pixels on the screen, so text mode has a higher
+  resolution than pixel mode: 120x120 pixels.
+  */
+  PIXEL_MODE: 0,
+  TEXT_MODE: 1,
+  TEXT_COLUMNS: 20,
+  TEXT_ROWS: 15,
+  TEXT_FOREGROUND_OFFSET: 300,
+  TEXT_BACKGROUND_OFFSET: 600,
+  CHARACTER_WIDTH: 6,
+  CHARACTER_HEIGHT: 8,
+
+  /*
+  In pixel mode, the program can choose a higher resolution by writing to the
+  resolution address (2071):
+  - 0: 30x30 pixels (900 slots of video memory)
+  - 1: 64x48 pixels (3072 slots)
+  - 2: 128x96 pixels (12288 slots)
+  The higher resolutions don't fit in the usual video memory (2100 - 2999), so
+  the program also needs to write the address of some other memory to use to the
+  framebuffer address (2072), eg. 4000, the start of the extended video memory.
+  The framebuffer address starts as 0, which means the usual address, 2100.
+
+  To let programs find out the size of the screen (eg. to draw a line all the way
+  across), the display keeps its width and height in pixels at 2078 and 2079.
+  */
+  RESOLUTIONS: [[30, 30], [64, 48], [128, 96]],
+
+  /*
+  If a program draws straight into the framebuffer which is on the screen, the
+  display might show a frame when the program has only drawn part of it, so the
+  screen shows a mix of the old and new pictures (this is called 'tearing'), and
+  things flicker as they're erased and drawn again. To avoid this, the display
+  has two 'pages' of video memory, and only shows one of them at a time, so a
+  program can draw the next frame into the other one, and then show it all at
+  once. This is called 'double buffering'.
+  - 2072: the address of page 0 (the framebuffer address above)
+  - 2073: the address of page 1. It starts as 0, which means 4000, the start of
+    the extended video memory.
+  - 2074: the page which is shown on the screen (0 or 1)
+  - 2075: the page flip register. When the program has finished drawing a
+    frame, it writes 1 here, and the next time a frame is shown (see the vblank
+    interrupt in the Simulation section) the display swaps which page is shown,
+    and sets this back to 0. The program should wait for that before drawing the
+    frame after, because until then the page it would draw into is still on the
+    screen.
+  */
+  PAGE_1_DEFAULT_ADDRESS: 4000,
+
+  /*
+  Each character in the ROM is 5 pixels wide and 7 pixels tall, leaving a gap of
+  one pixel between characters. Each number in the table is one column of the
+  character, from left to right, and each bit of the number is one pixel of the
+  column, with the lowest bit at the top. The table starts with the character
+  with ASCII code 32 (space), and goes up to code 126 ('~').
+  */
+  FONT_ROM_FIRST_CHARACTER: 32,
+  FONT_ROM: [
+    [0x00, 0x00, 0x00, 0x00, 0x00], // ' '
+    [0x00, 0x00, 0x5F, 0x00, 0x00], // '!'
+    [0x00, 0x07, 0x00, 0x07, 0x00], // '"'
+    [0x14, 0x7F, 0x14, 0x7F, 0x14], // '#'
+    [0x24, 0x2A, 0x7F, 0x2A, 0x12], // '$'
+    [0x23, 0x13, 0x08, 0x64, 0x62], // '%'
+    [0x36, 0x49, 0x55, 0x22, 0x50], // '&'
+    [0x00, 0x05, 0x03, 0x00, 0x00], // "'"
+    [0x00, 0x1C, 0x22, 0x41, 0x00], // '('
+    [0x00, 0x41, 0x22, 0x1C, 0x00], // ')'
+    [0x08, 0x2A, 0x1C, 0x2A, 0x08], // '*'
+    [0x08, 0x08, 0x3E, 0x08, 0x08], // '+'
+    [0x00, 0x50, 0x30, 0x00, 0x00], // ','
+    [0x08, 0x08, 0x08, 0x08, 0x08], // '-'
+    [0x00, 0x60, 0x60, 0x00, 0x00], // '.'
+    [0x20, 0x10, 0x08, 0x04, 0x02], // '/'
+    [0x3E, 0x51, 0x49, 0x45, 0x3E], // '0'
+    [0x00, 0x42, 0x7F, 0x40, 0x00], // '1'
+    [0x42, 0x61, 0x51, 0x49, 0x46], // '2'
+    [0x21, 0x41, 0x45, 0x4B, 0x31], // '3'
+    [0x18, 0x14, 0x12, 0x7F, 0x10], // '4'
+    [0x27, 0x45, 0x45, 0x45, 0x39], // '5'
+    [0x3C, 0x4A, 0x49, 0x49, 0x30], // '6'
+    [0x01, 0x71, 0x09, 0x05, 0x03], // '7'
+    [0x36, 0x49, 0x49, 0x49, 0x36], // '8'
+    [0x06, 0x49, 0x49, 0x29, 0x1E], // '9'
+    [0x00, 0x36, 0x36, 0x00, 0x00], // ':'
+    [0x00, 0x56, 0x36, 0x00, 0x00], // ';'
+    [0x08, 0x14, 0x22, 0x41, 0x00], // '<'
+    [0x14, 0x14, 0x14, 0x14, 0x14], // '='
+    [0x00, 0x41, 0x22, 0x14, 0x08], // '>'
+    [0x02, 0x01, 0x51, 0x09, 0x06], // '?'
+    [0x32, 0x49, 0x79, 0x41, 0x3E], // '@'
+    [0x7E, 0x11, 0x11, 0x11, 0x7E], // 'A'
+    [0x7F, 0x49, 0x49, 0x49, 0x36], // 'B'
+    [0x3E, 0x41, 0x41, 0x41, 0x22], // 'C'
+    [0x7F, 0x41, 0x41, 0x22, 0x1C], // 'D'
+    [0x7F, 0x49, 0x49, 0x49, 0x41], // 'E'
+    [0x7F, 0x09, 0x09, 0x01, 0x01], // 'F'
+    [0x3E, 0x41, 0x41, 0x51, 0x32], // 'G'
+    [0x7F, 0x08, 0x08, 0x08, 0x7F], // 'H'
+    [0x00, 0x41, 0x7F, 0x41, 0x00], // 'I'
+    [0x20, 0x40, 0x41, 0x3F, 0x01], // 'J'
+    [0x7F, 0x08, 0x14, 0x22, 0x41], // 'K'
+    [0x7F, 0x40, 0x40, 0x40, 0x40], // 'L'
+    [0x7F, 0x02, 0x04, 0x02, 0x7F], // 'M'
+    [0x7F, 0x04, 0x08, 0x10, 0x7F], // 'N'
+    [0x3E, 0x41, 0x41, 0x41, 0x3E], // 'O'
+    [0x7F, 0x09, 0x09, 0x09, 0x06], // 'P'
+    [0x3E, 0x41, 0x51, 0x21, 0x5E], // 'Q'
+    [0x7F, 0x09, 0x19, 0x29, 0x46], // 'R'
+    [0x46, 0x49, 0x49, 0x49, 0x31], // 'S'
+    [0x01, 0x01, 0x7F, 0x01, 0x01], // 'T'
+    [0x3F, 0x40, 0x40, 0x40, 0x3F], // 'U'
+    [0x1F, 0x20, 0x40, 0x20, 0x1F], // 'V'
+    [0x7F, 0x20, 0x18, 0x20, 0x7F], // 'W'
+    [0x63, 0x14, 0x08, 0x14, 0x63], // 'X'
+    [0x03, 0x04, 0x78, 0x04, 0x03], // 'Y'
+    [0x61, 0x51, 0x49, 0x45, 0x43], // 'Z'
+    [0x00, 0x7F, 0x41, 0x41, 0x00], // '['
+    [0x02, 0x04, 0x08, 0x10, 0x20], // '\\'
+    [0x00, 0x41, 0x41, 0x7F, 0x00], // ']'
+    [0x04, 0x02, 0x01, 0x02, 0x04], // '^'
+    [0x40, 0x40, 0x40, 0x40, 0x40], // '_'
+    [0x00, 0x01, 0x02, 0x04, 0x00], // '`'
+    [0x20, 0x54, 0x54, 0x54, 0x78], // 'a'
+    [0x7F, 0x48, 0x44, 0x44, 0x38], // 'b'
+    [0x38, 0x44, 0x44, 0x44, 0x20], // 'c'
+    [0x38, 0x44, 0x44, 0x48, 0x7F], // 'd'
+    [0x38, 0x54, 0x54, 0x54, 0x18], // 'e'
+    [0x08, 0x7E, 0x09, 0x01, 0x02], // 'f'
+    [0x08, 0x14, 0x54, 0x54, 0x3C], // 'g'
+    [0x7F, 0x08, 0x04, 0x04, 0x78], // 'h'
+    [0x00, 0x44, 0x7D, 0x40, 0x00], // 'i'
+    [0x20, 0x40, 0x44, 0x3D, 0x00], // 'j'
+    [0x00, 0x7F, 0x10, 0x28, 0x44], // 'k'
+    [0x00, 0x41, 0x7F, 0x40, 0x00], // 'l'
+    [0x7C, 0x04, 0x18, 0x04, 0x78], // 'm'
+    [0x7C, 0x08, 0x04, 0x04, 0x78], // 'n'
+    [0x38, 0x44, 0x44, 0x44, 0x38], // 'o'
+    [0x7C, 0x14, 0x14, 0x14, 0x08], // 'p'
+    [0x08, 0x14, 0x14, 0x18, 0x7C], // 'q'
+    [0x7C, 0x08, 0x04, 0x04, 0x08], // 'r'
+    [0x48, 0x54, 0x54, 0x54, 0x20], // 's'
+    [0x04, 0x3F, 0x44, 0x40, 0x20], // 't'
+    [0x3C, 0x40, 0x40, 0x20, 0x7C], // 'u'
+    [0x1C, 0x20, 0x40, 0x20, 0x1C], // 'v'
+    [0x3C, 0x40, 0x30, 0x40, 0x3C], // 'w'
+    [0x44, 0x28, 0x10, 0x28, 0x44], // 'x'
+    [0x0C, 0x50, 0x50, 0x50, 0x3C], // 'y'
+    [0x44, 0x64, 0x54, 0x4C, 0x44], // 'z'
+    [0x00, 0x08, 0x36, 0x41, 0x00], // '{'
+    [0x00, 0x00, 0x7F, 0x00, 0x00], // '|'
+    [0x00, 0x41, 0x36, 0x08, 0x00], // '}'
+    [0x08, 0x04, 0x08, 0x10, 0x08], // '~'
+  ],
+
   /*
   To reduce the amount of memory required to contain the data for each pixel on
   the screen, we're going to use a lookup table mapping color IDs to RGB colors.
@@ -553,7 +1530,22 @@ const Display = {
   as you can only use a color if it's in the palette. It also means you can't
   simply lighten or darken colors using math (unless you use a clever layout of
   your palette).
+
+  The palette is kept in memory, starting at 3200, as 3 values for each color:
+  its red, green and blue values (from 0 to 255). For example, the red value of
+  color 2 is at 3206. Programs can change the palette while they're running, to
+  change what all of the pixels of a color look like at once. This can be used
+  for some neat effects, like fading the whole screen to black, or making things
+  look like they're moving by 'cycling' colors through the palette.
+
+  There are 16 colors in the palette, unless the program writes 1 to the palette
+  mode address (2076), which gives it 256 colors (using memory up to 3967).
+
+  When the computer is reset, these colors are loaded into the palette. The rest
+  of the 256 colors are a mix of all the combinations of 6 levels of red, green
+  and blue, and then a range of grays.
   */
+  PALETTE_SIZES: [16, 256],
 
   COLOR_PALETTE: {
     '0':  [  0,  0,  0], // Black
@@ -574,16 +1566,58 @@ const Display = {
     '15': [  0,  0,128], // Navy 
   },
 
-  getColor(pixelColorId, address) {
-    const color = this.COLOR_PALETTE[pixelColorId];
-    if (!color) {
-      throw new Error(`Invalid color code ${pixelColorId} at address ${address}`);
+  reset() {
+    const paletteSize = this.PALETTE_SIZES[this.PALETTE_SIZES.length - 1];
+    for (var colorId = 0; colorId < paletteSize; colorId++) {
+      const colorRGB = this.getDefaultColor(colorId);
+      for (var channel = 0; channel < 3; channel++) {
+        Memory.ram[Memory.PALETTE_START + colorId * 3 + channel] = colorRGB[channel];
+      }
     }
-    return color;
   },
 
-  imageData: (null/*: ?ImageData */),
-  canvasCtx: (null/*: ?CanvasRenderingContext2D */),
+  getDefaultColor(colorId)/*: Array<number> */ {
+    if (colorId < 16) return this.COLOR_PALETTE[colorId];
+    if (colorId < 232) {
+      // 6 levels each of red, green and blue
+      const levels = [0, 51, 102, 153, 204, 255];
+      const index = colorId - 16;
+      return [levels[Math.floor(index / 36)], levels[Math.floor(index / 6) % 6], levels[index % 6]];
+    }
+    const gray = 8 + (colorId - 232) * 10;
+    return [gray, gray, gray];
+  },
+
+  isValidColor(colorId) {
+    const paletteSize = this.PALETTE_SIZES[Memory.ram[Memory.PALETTE_MODE_ADDRESS] || 0] || this.PALETTE_SIZES[0];
+    return Number.isInteger(colorId) && colorId >= 0 && colorId < paletteSize;
+  },
+
+  // get the address in the palette of the red, green and blue values of a color
+  // (address is where the color ID came from, to show if it's not valid)
+  getColorAddress(pixelColorId, address/*: ?number */) {
+    if (!this.isValidColor(pixelColorId)) {
+      throw new Error(`Invalid color code ${pixelColorId}${address != null ? ` at address ${address}` : ''}`);
+    }
+    return Memory.PALETTE_START + pixelColorId * 3;
+  },
+
+  getColor(pixelColorId, address/*: ?number */)/*: Array<number> */ {
+    const colorAddress = this.getColorAddress(pixelColorId, address);
+    return Memory.ram.slice(colorAddress, colorAddress + 3);
+  },
+
+  /*
+  The Display doesn't need to know where its pixels end up, so it hands them to a
+  'screen device'. In the browser this is a canvas element, but when running
+  without a browser (eg. in Node.js) we can use a device which just keeps the
+  most recently drawn frame in memory.
+  */
+  device: (null/*: ?Object */),
+  pixelsRGBA: new Uint8ClampedArray(0),
+  // the size of the picture currently being drawn, which depends on the mode
+  width: 0,
+  height: 0,
 
   /*
   Read the pixel values from video memory, look them up in our color palette, and
@@ -594,31 +1628,310 @@ const Display = {
   We don't need to vary the alpha (opacity) values, so we'll just set them to 255
   (full opacity) for every pixel.
   */
-  drawScreen() {
-    const imageData = notNull(this.imageData);
-    const videoMemoryLength = Memory.VIDEO_MEMORY_END - Memory.VIDEO_MEMORY_START;
-    const pixelsRGBA = imageData.data;
-    for (var i = 0; i < videoMemoryLength; i++) {
-      const pixelColorId = Memory.ram[Memory.VIDEO_MEMORY_START + i];
-      const colorRGB = this.getColor(pixelColorId || 0, Memory.VIDEO_MEMORY_START + i);
-      pixelsRGBA[i * 4] = colorRGB[0];
-      pixelsRGBA[i * 4 + 1] = colorRGB[1];
-      pixelsRGBA[i * 4 + 2] = colorRGB[2];
-      pixelsRGBA[i * 4 + 3] = 255; // full opacity
+  // the width and height of the screen in the current mode, in pixels
+  getSize()/*: [number, number] */ {
+    const mode = Memory.ram[Memory.DISPLAY_MODE_ADDRESS] || 0;
+    if (mode === this.TEXT_MODE) {
+      return [this.TEXT_COLUMNS * this.CHARACTER_WIDTH, this.TEXT_ROWS * this.CHARACTER_HEIGHT];
     }
+    if (mode !== this.PIXEL_MODE) {
+      throw new Error(`Invalid display mode ${mode} at address ${Memory.DISPLAY_MODE_ADDRESS}`);
+    }
+    const resolution = Memory.ram[Memory.DISPLAY_RESOLUTION_ADDRESS] || 0;
+    if (!this.RESOLUTIONS[resolution]) {
+      throw new Error(`Invalid display resolution ${resolution} at address ${Memory.DISPLAY_RESOLUTION_ADDRESS}`);
+    }
+    return this.RESOLUTIONS[resolution];
+  },
 
-    const canvasCtx = notNull(this.canvasCtx);
-    canvasCtx.putImageData(imageData, 0, 0);
+  // the address of the start of the video memory which is shown on the screen
+  getFramebufferAddress() {
+    return this.getPageAddress(Memory.ram[Memory.DISPLAY_PAGE_ADDRESS] || 0);
   },
 
-  init() {
-    const canvasCtx = notNull(SimulatorUI.getCanvas().getContext('2d'));
-    this.canvasCtx = canvasCtx;
-    this.imageData = canvasCtx.createImageData(Display.SCREEN_WIDTH, Display.SCREEN_HEIGHT);
+  getPageAddress(page) {
+    if (page === 0) return Memory.ram[Memory.FRAMEBUFFER_ADDRESS] || Memory.VIDEO_MEMORY_START;
+    if (page === 1) return Memory.ram[Memory.PAGE_1_FRAMEBUFFER_ADDRESS] || this.PAGE_1_DEFAULT_ADDRESS;
+    throw new Error(`Invalid display page ${page} at address ${Memory.DISPLAY_PAGE_ADDRESS}`);
   },
-};
 
-// 4.INPUT
+  // called once per frame, to swap the pages if the program has asked to
+  flipPages() {
+    if (!Memory.ram[Memory.PAGE_FLIP_ADDRESS]) return;
+    Memory.write(Memory.DISPLAY_PAGE_ADDRESS, Memory.ram[Memory.DISPLAY_PAGE_ADDRESS] ? 0 : 1);
+    Memory.write(Memory.PAGE_FLIP_ADDRESS, 0);
+  },
+
+  // the address in video memory of the pixel (or in text mode, the character)
+  // at a position on the screen
+  addressAt(x, y) {
+    if (Memory.ram[Memory.DISPLAY_MODE_ADDRESS] === this.TEXT_MODE) {
+      const column = Math.floor(x / this.CHARACTER_WIDTH);
+      const row = Math.floor(y / this.CHARACTER_HEIGHT);
+      return this.getFramebufferAddress() + row * this.TEXT_COLUMNS + column;
+    }
+    return this.getFramebufferAddress() + Math.floor(y) * this.getSize()[0] + Math.floor(x);
+  },
+
+  // however many pixels the screen has, it's scaled to fill the same space
+  getPixelScale() {
+    return this.SCREEN_WIDTH * this.SCREEN_PIXEL_SCALE / this.width;
+  },
+
+  // keep the width and height registers up to date, for programs to read
+  updateRegisters() {
+    const [width, height] = this.getSize();
+    Memory.write(Memory.DISPLAY_WIDTH_ADDRESS, width);
+    Memory.write(Memory.DISPLAY_HEIGHT_ADDRESS, height);
+  },
+
+  drawScreen() {
+    const [width, height] = this.getSize();
+    this.setSize(width, height);
+    if (Memory.ram[Memory.DISPLAY_MODE_ADDRESS] === this.TEXT_MODE) {
+      this.drawText();
+    } else {
+      this.drawPixels();
+    }
+    this.drawSprites();
+
+    notNull(this.device).draw(this.pixelsRGBA);
+  },
+
+  drawPixels() {
+    const framebufferAddress = this.getFramebufferAddress();
+    const videoMemoryLength = this.width * this.height;
+    if (framebufferAddress < 0 || framebufferAddress + videoMemoryLength > Memory.TOTAL_MEMORY_SIZE) {
+      throw new Error(`framebuffer at ${framebufferAddress} doesn't fit in memory at ${this.width}x${this.height}`);
+    }
+    for (var i = 0; i < videoMemoryLength; i++) {
+      const pixelColorId = Memory.ram[framebufferAddress + i];
+      this.putPixel(i, this.getColorAddress(pixelColorId || 0, framebufferAddress + i));
+    }
+  },
+
+  drawText() {
+    const framebufferAddress = this.getFramebufferAddress();
+    if (framebufferAddress < 0 || framebufferAddress + 3 * this.TEXT_COLUMNS * this.TEXT_ROWS > Memory.TOTAL_MEMORY_SIZE) {
+      throw new Error(`framebuffer at ${framebufferAddress} doesn't fit in memory in text mode`);
+    }
+    for (var row = 0; row < this.TEXT_ROWS; row++) {
+      for (var column = 0; column < this.TEXT_COLUMNS; column++) {
+        const cell = row * this.TEXT_COLUMNS + column;
+        const characterCode = Memory.ram[framebufferAddress + cell] || 0;
+        const glyph = this.FONT_ROM[characterCode - this.FONT_ROM_FIRST_CHARACTER];
+        const foregroundAddress = framebufferAddress + this.TEXT_FOREGROUND_OFFSET + cell;
+        const backgroundAddress = framebufferAddress + this.TEXT_BACKGROUND_OFFSET + cell;
+        const foreground = this.getColorAddress(Memory.ram[foregroundAddress] || 0, foregroundAddress);
+        const background = this.getColorAddress(Memory.ram[backgroundAddress] || 0, backgroundAddress);
+
+        for (var y = 0; y < this.CHARACTER_HEIGHT; y++) {
+          for (var x = 0; x < this.CHARACTER_WIDTH; x++) {
+            const pixelOn = glyph != null && x < glyph.length && (glyph[x] >> y) & 1;
+            const pixelX = column * this.CHARACTER_WIDTH + x;
+            const pixelY = row * this.CHARACTER_HEIGHT + y;
+            this.putPixel(pixelY * this.width + pixelX, pixelOn ? foreground : background);
+          }
+        }
+      }
+    }
+  },
+
+  /*
+  Moving things around the screen by drawing them into the framebuffer is a lot
+  of work: every frame, the program has to put back the pixels behind each thing
+  before drawing it again somewhere else. Arcade machines and game consoles got
+  around this with 'sprites': small pictures which the display hardware draws
+  over the top of the framebuffer itself, wherever the program says they should
+  go. Moving a sprite is as easy as changing its x and y position.
+
+  The display can draw up to 8 sprites, which are controlled by the 'sprite
+  attribute table' (3100 - 3163). Each sprite has 8 values in the table, so
+  sprite 0's are at 3100 - 3107, sprite 1's are at 3108 - 3115, and so on:
+  - 0: enabled (0 = hidden, 1 = shown)
+  - 1, 2: the x and y position of the top left corner of the sprite on the
+    screen, in pixels. Sprites can be partly (or completely) off the screen.
+  - 3, 4: the width and height of the sprite, in pixels
+  - 5: the 'pattern' address: where in memory the picture of the sprite is. It's
+    stored the same way as pixels in the framebuffer: the color ID of each pixel,
+    row by row, from the top left.
+  - 6: the transparent color ID. Pixels of the pattern with this color aren't
+    drawn, so whatever is behind them shows through, and sprites don't have to
+    be rectangles.
+  - 7: unused
+
+  When sprites overlap, sprite 0 is drawn in front of sprite 1, which is drawn in
+  front of sprite 2, and so on.
+
+  Games usually need to know when things bump into each other, so the display
+  also checks for sprites which overlap (not counting their transparent pixels)
+  each time it draws a frame, and records them in the sprite collision register
+  (2077). Each bit of the value is one sprite, so if sprites 0 and 2 have
+  collided, the value will be 1 + 4 = 5. The bits stay set until the program
+  sets the register back to 0, so programs can check it whenever is convenient,
+  eg. in the vblank interrupt handler.
+  */
+  SPRITE_COUNT: 8,
+  SPRITE_ATTRIBUTES_SIZE: 8,
+  SPRITE_ENABLED: 0,
+  SPRITE_X: 1,
+  SPRITE_Y: 2,
+  SPRITE_WIDTH: 3,
+  SPRITE_HEIGHT: 4,
+  SPRITE_PATTERN: 5,
+  SPRITE_TRANSPARENT_COLOR: 6,
+
+  /*
+  The sprites are only drawn when the screen is next drawn, which might be a few
+  instructions later, but we check the sprite attributes after every instruction,
+  so a program which puts a sprite's pattern somewhere it doesn't fit crashes at
+  the instruction which did it.
+  */
+  checkSprites() {
+    for (var sprite = 0; sprite < this.SPRITE_COUNT; sprite++) {
+      if (!this.spritePatternFits(sprite)) {
+        const patternAddress = this.getSpriteAttribute(sprite, this.SPRITE_PATTERN);
+        const spriteWidth = this.getSpriteAttribute(sprite, this.SPRITE_WIDTH);
+        const spriteHeight = this.getSpriteAttribute(sprite, this.SPRITE_HEIGHT);
+        throw new Error(
+          `pattern of sprite ${sprite} at ${patternAddress} doesn't fit in memory at ${spriteWidth}x${spriteHeight}`
+        );
+      }
+    }
+  },
+
+  getSpriteAttribute(sprite, offset) {
+    return Memory.ram[Memory.SPRITE_TABLE_START + sprite * this.SPRITE_ATTRIBUTES_SIZE + offset] || 0;
+  },
+
+  // hidden sprites aren't drawn, so it doesn't matter where their pattern is
+  spritePatternFits(sprite) {
+    if (!this.getSpriteAttribute(sprite, this.SPRITE_ENABLED)) return true;
+    const spriteWidth = Math.max(0, this.getSpriteAttribute(sprite, this.SPRITE_WIDTH));
+    const spriteHeight = Math.max(0, this.getSpriteAttribute(sprite, this.SPRITE_HEIGHT));
+    const patternAddress = this.getSpriteAttribute(sprite, this.SPRITE_PATTERN);
+    return patternAddress >= 0 && patternAddress + spriteWidth * spriteHeight <= Memory.TOTAL_MEMORY_SIZE;
+  },
+
+  // calls callback for each pixel of each enabled sprite which isn't transparent
+  // and is on the screen, from the back-most sprite to the front-most
+  forEachSpritePixel(
+    callback/*: (sprite: number, pixelIndex: number, colorId: number, address: number) => void */
+  ) {
+    const [width, height] = this.getSize();
+    for (var sprite = this.SPRITE_COUNT - 1; sprite >= 0; sprite--) {
+      const attribute = offset => this.getSpriteAttribute(sprite, offset);
+      if (!attribute(this.SPRITE_ENABLED)) continue;
+
+      const spriteX = attribute(this.SPRITE_X);
+      const spriteY = attribute(this.SPRITE_Y);
+      const spriteWidth = Math.max(0, attribute(this.SPRITE_WIDTH));
+      const spriteHeight = Math.max(0, attribute(this.SPRITE_HEIGHT));
+      const patternAddress = attribute(this.SPRITE_PATTERN);
+      const transparentColorId = attribute(this.SPRITE_TRANSPARENT_COLOR);
+      // checkSprites() stops the program before this can happen, but the values
+      // could still come from somewhere else, like a save state
+      if (!this.spritePatternFits(sprite)) continue;
+
+      // only the part of the sprite which is on the screen
+      for (var y = Math.max(0, -spriteY); y < spriteHeight && spriteY + y < height; y++) {
+        for (var x = Math.max(0, -spriteX); x < spriteWidth && spriteX + x < width; x++) {
+          const address = patternAddress + y * spriteWidth + x;
+          const colorId = Memory.ram[address] || 0;
+          if (colorId === transparentColorId) continue;
+          callback(sprite, (spriteY + y) * width + spriteX + x, colorId, address);
+        }
+      }
+    }
+  },
+
+  drawSprites() {
+    this.forEachSpritePixel((sprite, pixelIndex, colorId, address) => {
+      this.putPixel(pixelIndex, this.getColorAddress(colorId, address));
+    });
+  },
+
+  // called once per frame, to set the bits of the sprites which overlap another
+  // sprite in the sprite collision register
+  updateSpriteCollisions() {
+    const [width, height] = this.getSize();
+    // which sprite (plus one, so 0 means none) has a pixel at each position
+    const spriteAtPixel = new Uint8Array(width * height);
+    let collisions = Memory.ram[Memory.SPRITE_COLLISIONS_ADDRESS] || 0;
+    this.forEachSpritePixel((sprite, pixelIndex) => {
+      if (spriteAtPixel[pixelIndex]) {
+        collisions |= (1 << sprite) | (1 << (spriteAtPixel[pixelIndex] - 1));
+      } else {
+        spriteAtPixel[pixelIndex] = sprite + 1;
+      }
+    });
+    Memory.write(Memory.SPRITE_COLLISIONS_ADDRESS, collisions);
+  },
+
+  // set a pixel to the color with its red, green and blue values at colorAddress
+  // in the palette
+  putPixel(index, colorAddress) {
+    const pixelsRGBA = this.pixelsRGBA;
+    pixelsRGBA[index * 4] = Memory.ram[colorAddress];
+    pixelsRGBA[index * 4 + 1] = Memory.ram[colorAddress + 1];
+    pixelsRGBA[index * 4 + 2] = Memory.ram[colorAddress + 2];
+    pixelsRGBA[index * 4 + 3] = 255; // full opacity
+  },
+
+  // when the size of the picture changes, the screen device needs to change too
+  setSize(width, height) {
+    if (width === this.width && height === this.height) return;
+    this.width = width;
+    this.height = height;
+    this.pixelsRGBA = new Uint8ClampedArray(width * height * 4);
+    notNull(this.device).init(width, height);
+  },
+
+  init(device) {
+    this.device = device;
+    this.width = 0;
+    this.height = 0;
+    this.setSize(this.SCREEN_WIDTH, this.SCREEN_HEIGHT);
+  },
+};
+
+// draws the screen onto the <canvas> element of the simulator UI
+const CanvasScreenDevice = {
+  imageData: (null/*: ?ImageData */),
+  canvasCtx: (null/*: ?CanvasRenderingContext2D */),
+
+  init(width, height) {
+    SimulatorUI.initScreen(width, height, Display.getPixelScale());
+    const canvasCtx = notNull(SimulatorUI.getCanvas().getContext('2d'));
+    this.canvasCtx = canvasCtx;
+    this.imageData = canvasCtx.createImageData(width, height);
+  },
+
+  draw(pixelsRGBA) {
+    const imageData = notNull(this.imageData);
+    imageData.data.set(pixelsRGBA);
+    notNull(this.canvasCtx).putImageData(imageData, 0, 0);
+  },
+};
+
+// keeps a copy of the last frame drawn, for when there's no browser
+const MemoryScreenDevice = {
+  width: 0,
+  height: 0,
+  pixelsRGBA: new Uint8ClampedArray(0),
+
+  init(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixelsRGBA = new Uint8ClampedArray(width * height * 4);
+  },
+
+  draw(pixelsRGBA) {
+    this.pixelsRGBA.set(pixelsRGBA);
+  },
+};
+
+// 4.INPUT
 
 /*
 We make mouse and keyboard input available to our simulated computer by setting
@@ -635,131 +1948,888 @@ const Input = {
   mouseX: 0,
   mouseY: 0,
 
+  /*
+  These are called by the input device whenever something happens. In the
+  browser that's in response to DOM events, but a program running without a
+  browser can call them directly to simulate keyboard and mouse input. While
+  replaying an input log (see below), input from the device is ignored.
+  */
+  keyDown(keyCode) {
+    if (!this.replay) this.pressKey(keyCode);
+  },
+  keyUp(keyCode) {
+    if (!this.replay) this.releaseKey(keyCode);
+  },
+  setMouseButton(down) {
+    if (!this.replay) this.mouseDown = down;
+  },
+  setMousePosition(x, y) {
+    if (this.replay) return;
+    this.mouseX = x;
+    this.mouseY = y;
+  },
+
+  pressKey(keyCode) {
+    // holding down a key repeats the keydown event, but it's still just one key press
+    if (this.keysPressed.has(keyCode)) return;
+    this.keysPressed.add(keyCode);
+    Memory.write(Memory.INTERRUPT_KEYCODE_ADDRESS, keyCode);
+    Interrupts.raise(Interrupts.KEY_DOWN);
+    if (this.recording) this.recording.push(this.getInputState());
+  },
+  releaseKey(keyCode) {
+    if (!this.keysPressed.has(keyCode)) return;
+    this.keysPressed.delete(keyCode);
+    Memory.write(Memory.INTERRUPT_KEYCODE_ADDRESS, keyCode);
+    Interrupts.raise(Interrupts.KEY_UP);
+    if (this.recording) this.recording.push(this.getInputState());
+  },
+
+  init(device) {
+    device.init();
+  },
+
+  /*
+  Normally the random number and current time come from the real world, so every
+  time a program runs it sees different values. That makes it hard to reproduce
+  a bug, or to check that a program always produces the same output. In
+  'deterministic' mode, we instead generate the random numbers from a 'seed'
+  value, so the same seed always gives the same sequence of random numbers, and
+  we use a 'virtual' clock which counts the instructions executed since the
+  program started, at VIRTUAL_CYCLES_PER_MILLISECOND (roughly how fast the
+  simulator runs in a browser at full speed).
+  */
+  deterministic: false,
+  randomSeed: 1,
+  randomState: 1,
+  VIRTUAL_CYCLES_PER_MILLISECOND: 200,
+  // when the program started, for the real clock
+  startTime: 0,
+
+  reset() {
+    this.randomState = this.randomSeed;
+    this.startTime = Date.now();
+    if (this.recording) {
+      this.recording = [];
+    }
+    if (this.replay) {
+      this.replay.nextEvent = 0;
+      this.keysPressed = new Set();
+      this.mouseDown = false;
+      this.mouseX = 0;
+      this.mouseY = 0;
+    }
+  },
+
+  /*
+  To be able to reproduce exactly what a program did, we can record the input it
+  was given into an 'input log', and later replay the log instead of using the
+  input from the keyboard and mouse. Each time the input changes, we record the
+  new input state along with the number of cycles (instructions) the CPU had
+  executed at that point, so that when replaying, the program sees each change
+  at exactly the same point as when it was recorded. For this to work the
+  program must also run in deterministic mode (see above), so recording an input
+  log turns it on, and the log includes the random seed and the word size.
+
+  Several things can happen between two instructions, like a key being pressed
+  and released again, but each key press or release raises its own interrupt.
+  So we also record the input state after every key press and release, even if
+  it's at the same cycle as the last one, and replay them one at a time.
+
+  Recording and replaying always start from when the program is reset.
+  */
+  INPUT_LOG_FORMAT: 'little-virtual-computer-input-log',
+  INPUT_LOG_VERSION: 2,
+  recording: (null/*: ?Array<InputLogEvent> */),
+  replay: (null/*: ?{events: Array<InputLogEvent>, nextEvent: number} */),
+
+  startRecording() {
+    this.stopReplay();
+    this.deterministic = true;
+    this.recording = [];
+  },
+
+  stopRecording() {
+    const events = notNull(this.recording);
+    this.recording = null;
+    return {
+      format: this.INPUT_LOG_FORMAT,
+      version: this.INPUT_LOG_VERSION,
+      randomSeed: this.randomSeed,
+      wordSize: CPU.wordSize,
+      events,
+    };
+  },
+
+  startReplay(inputLog/*: Object */) {
+    if (inputLog.format !== this.INPUT_LOG_FORMAT || inputLog.version !== this.INPUT_LOG_VERSION) {
+      throw new Error('not a valid input log');
+    }
+    if (!CPU.WORD_SIZES.includes(inputLog.wordSize)) {
+      throw new Error(`input log has an unsupported word size ${inputLog.wordSize}`);
+    }
+    this.recording = null;
+    this.deterministic = true;
+    this.randomSeed = inputLog.randomSeed;
+    CPU.wordSize = inputLog.wordSize;
+    this.replay = {events: inputLog.events, nextEvent: 0};
+  },
+
+  stopReplay() {
+    this.replay = null;
+  },
+
+  getInputState()/*: InputLogEvent */ {
+    return {
+      cycle: CPU.cycles,
+      keys: Array.from(this.keysPressed.values()),
+      mouseDown: this.mouseDown,
+      mouseX: this.mouseX,
+      mouseY: this.mouseY,
+    };
+  },
+
+  recordInputState() {
+    const recording = notNull(this.recording);
+    const state = this.getInputState();
+    const last = recording[recording.length - 1];
+    if (
+      last &&
+      last.keys.join() === state.keys.join() &&
+      last.mouseDown === state.mouseDown &&
+      last.mouseX === state.mouseX &&
+      last.mouseY === state.mouseY
+    ) {
+      return; // nothing changed
+    }
+    recording.push(state);
+  },
+
+  replayInputState() {
+    const replay = notNull(this.replay);
+    while (replay.nextEvent < replay.events.length && replay.events[replay.nextEvent].cycle <= CPU.cycles) {
+      const event = replay.events[replay.nextEvent++];
+      Array.from(this.keysPressed.values()).forEach(keyCode => {
+        if (!event.keys.includes(keyCode)) this.releaseKey(keyCode);
+      });
+      event.keys.forEach(keyCode => this.pressKey(keyCode));
+      this.mouseDown = event.mouseDown;
+      this.mouseX = event.mouseX;
+      this.mouseY = event.mouseY;
+    }
+  },
+
+  /*
+  A 'pseudorandom number generator' (in this case, the 'mulberry32' algorithm):
+  each number is calculated from the previous state by scrambling its bits, so
+  the numbers look random, but are always the same for the same starting state.
+  Returns a number from 0 up to (but not including) 1, like Math.random().
+  */
+  nextRandom() {
+    this.randomState = (this.randomState + 0x6d2b79f5) | 0;
+    let t = this.randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  },
+
+  updateInputs() {
+    if (this.replay) this.replayInputState();
+    if (this.recording) this.recordInputState();
+
+    const mostRecentKeys = Array.from(this.keysPressed.values()).reverse();
+
+    Memory.write(Memory.KEYCODE_0_ADDRESS, mostRecentKeys[0] || 0);
+    Memory.write(Memory.KEYCODE_1_ADDRESS, mostRecentKeys[1] || 0);
+    Memory.write(Memory.KEYCODE_2_ADDRESS, mostRecentKeys[2] || 0);
+    Memory.write(Memory.MOUSE_BUTTON_ADDRESS, this.mouseDown ? 1 : 0);
+    Memory.write(Memory.MOUSE_X_ADDRESS, this.mouseX);
+    Memory.write(Memory.MOUSE_Y_ADDRESS, this.mouseY);
+    Memory.write(Memory.MOUSE_PIXEL_ADDRESS, Display.addressAt(this.mouseX, this.mouseY));
+    if (this.deterministic) {
+      Memory.write(Memory.RANDOM_NUMBER_ADDRESS, Math.floor(this.nextRandom() * 255));
+      Memory.write(Memory.CURRENT_TIME_ADDRESS, CPU.toWord(Math.floor(CPU.cycles / this.VIRTUAL_CYCLES_PER_MILLISECOND)));
+    } else {
+      Memory.write(Memory.RANDOM_NUMBER_ADDRESS, Math.floor(Math.random() * 255));
+      Memory.write(Memory.CURRENT_TIME_ADDRESS, CPU.toWord(Date.now() - this.startTime));
+    }
+  },
+};
+
+/*::
+type InputLogEvent = {
+  cycle: number,
+  keys: Array<number>,
+  mouseDown: boolean,
+  mouseX: number,
+  mouseY: number,
+};
+*/
+
+// listens for keyboard and mouse events in the browser
+const BrowserInputDevice = {
   init() {
     if (!document.body) throw new Error('DOM not ready');
 
     document.body.onkeydown = (event) => {
-      this.keysPressed.add(event.which);
+      Input.keyDown(event.which);
     };
     document.body.onkeyup = (event) => {
-      this.keysPressed.delete(event.which);
+      Input.keyUp(event.which);
     };
 
     document.body.onmousedown = () => { 
-      this.mouseDown = true;
+      Input.setMouseButton(true);
     };
     document.body.onmouseup = () => {
-      this.mouseDown = false;
+      Input.setMouseButton(false);
     };
 
     const screenPageY = SimulatorUI.getCanvas().getBoundingClientRect().top + window.scrollY;
     const screenPageX = SimulatorUI.getCanvas().getBoundingClientRect().left + window.scrollX;
     SimulatorUI.getCanvas().onmousemove = (event) => {      
-      this.mouseX = Math.floor((event.pageX - screenPageX) / Display.SCREEN_PIXEL_SCALE);
-      this.mouseY = Math.floor((event.pageY - screenPageY) / Display.SCREEN_PIXEL_SCALE);
+      Input.setMousePosition(
+        Math.floor((event.pageX - screenPageX) / Display.getPixelScale()),
+        Math.floor((event.pageY - screenPageY) / Display.getPixelScale())
+      );
     };
   },
+};
 
-  updateInputs() {
-    const mostRecentKeys = Array.from(this.keysPressed.values()).reverse();
-
-    Memory.ram[Memory.KEYCODE_0_ADDRESS] = mostRecentKeys[0] || 0;
-    Memory.ram[Memory.KEYCODE_1_ADDRESS] = mostRecentKeys[1] || 0;
-    Memory.ram[Memory.KEYCODE_2_ADDRESS] = mostRecentKeys[2] || 0;
-    Memory.ram[Memory.MOUSE_BUTTON_ADDRESS] = this.mouseDown ? 1 : 0;
-    Memory.ram[Memory.MOUSE_X_ADDRESS] = this.mouseX;
-    Memory.ram[Memory.MOUSE_Y_ADDRESS] = this.mouseY;
-    Memory.ram[Memory.MOUSE_PIXEL_ADDRESS] = Memory.VIDEO_MEMORY_START + (Math.floor(this.mouseY)) * Display.SCREEN_WIDTH + Math.floor(this.mouseX);
-    Memory.ram[Memory.RANDOM_NUMBER_ADDRESS] = Math.floor(Math.random() * 255);
-    Memory.ram[Memory.CURRENT_TIME_ADDRESS] = Date.now();
-  },
+// no input at all, except what is passed to Input.keyDown() etc. directly
+const NullInputDevice = {
+  init() {},
 };
 
 // 5.AUDIO
 
-const AudioContext =
-  window.AudioContext || // Default
-  window.webkitAudioContext; // Safari and old versions of Chrome
-
 const Audio = {
+  /*
+  Each channel plays a tone with the shape ('wavetype') set by its wavetype
+  address. As well as the usual shapes, there's 'noise', a random hiss which is
+  handy for drums and sound effects. With noise, the frequency sets how fast the
+  random values change, so higher frequencies sound more like a hiss, and lower
+  ones sound more like a rumble. Any channel can play noise, but having a fourth
+  channel means a program can play drums while still playing three notes.
+  */
   WAVETYPES: {
     '0': 'square',
     '1': 'sawtooth',
     '2': 'triangle',
     '3': 'sine',
+    '4': 'noise',
   },
 
   MAX_GAIN: 0.15,
 
-  audioCtx: new AudioContext(),
+  /*
+  Turning a sound on and off instantly makes a 'click', and real instruments
+  don't do that anyway: a piano note starts loud and fades away, and a violin
+  note can swell up slowly. Synthesizers shape the volume of each note with an
+  'envelope', which has four parts, called 'ADSR':
+  - attack: how long the note takes to get to full volume once it starts
+  - decay: how long it then takes to fall to the sustain level. If this is 0, the
+    note just stays at full volume.
+  - sustain: the level the volume stays at until the note ends, as a percentage
+    of the volume (so 0 means the note fades away to nothing)
+  - release: how long the note takes to fade away once it ends
+  The times are in milliseconds. A note starts when the volume or frequency of
+  a channel is changed (to anything but a volume of 0), and ends when the volume
+  is set to 0.
+
+  Each channel has 5 values, starting at 3020 for channel 1, 3025 for channel 2,
+  and so on: attack, decay, sustain, release, and then the 'pulse width' of the
+  square wave. This is the percentage of the time the wave is 'up' (0 is the same
+  as 50, an even square wave). Narrower pulses sound thinner and buzzier, which
+  is a big part of the sound of old game music.
+  */
+  ENVELOPE_SIZE: 5,
+  ENVELOPE_ATTACK: 0,
+  ENVELOPE_DECAY: 1,
+  ENVELOPE_SUSTAIN: 2,
+  ENVELOPE_RELEASE: 3,
+  PULSE_WIDTH: 4,
+
+  /*
+  The tone channels can only make a few kinds of simple waves, but real sounds,
+  like voices or drums, have much more complicated shapes. To play those, a
+  computer stores the shape of the wave itself: a long list of numbers, each one
+  the position of the speaker at one moment, measured thousands of times per
+  second. Each number is called a 'sample', and this way of storing sound is
+  called 'PCM' (pulse code modulation). It's how sound is stored in WAV files,
+  on CDs, and (in a compressed form) in MP3s.
+
+  The PCM channel plays samples from memory. Each sample is a value from -128
+  to 127, and the channel is controlled by these addresses:
+  - 3040: the address of the first sample
+  - 3041: the number of samples (the 'length')
+  - 3042: the 'sample rate': how many samples to play per second, from 3000 to
+    96000. 0 means 8000, which is about as low as you can go while still being
+    able to understand speech. CDs use 44100.
+  - 3043: loop: 0 to play the samples once, 1 to play them over and over
+  - 3044: the volume, from 0 to 100
+  - 3045: the control address: write 1 here to start playing from the first
+    sample, or 2 to stop. The PCM channel sets it back to 0 once it has started
+    or stopped. When it starts, the samples are copied into the sound hardware,
+    so changing them after that won't change the sound until it's started again.
+  */
+  PCM_PLAY: 1,
+  PCM_STOP: 2,
+  PCM_DEFAULT_SAMPLE_RATE: 8000,
+  PCM_MIN_SAMPLE_RATE: 3000,
+  PCM_MAX_SAMPLE_RATE: 96000,
+  PCM_MAX_SAMPLE_VALUE: 128,
+
+  /*
+  Like the Display, the Audio component doesn't make any sound itself. It works
+  out what each channel should be playing and tells the 'audio device' about any
+  changes. In the browser we use the Web Audio API, but we can also use a device
+  which doesn't make any sound at all.
+  */
+  device: (null/*: ?Object */),
 
   audioChannels: [],
+  /*
+  The PCM channel remembers the samples it's looping, so they can be saved and
+  played again when the save state is loaded. Samples which are only played once
+  are probably over by then, so they aren't saved.
+  */
+  pcmChannel: (null/*: ?{output: any, gain: number, looping: ?{samples: Array<number>, sampleRate: number}} */),
 
-  addAudioChannel(wavetypeAddr, freqAddr, volAddr) {
-    const oscillatorNode = this.audioCtx.createOscillator();
-    const gainNode = this.audioCtx.createGain();
-    oscillatorNode.connect(gainNode);
-    gainNode.connect(this.audioCtx.destination);
+  // an envelope which doesn't change the volume at all
+  NO_ENVELOPE: {attack: 0, decay: 0, sustain: 1, release: 0},
 
+  addAudioChannel(wavetypeAddr, freqAddr, volAddr, envelopeAddr) {
     const state = {
       gain: 0,
       oscillatorType: 'square',
       frequency: 440,
+      pulseWidth: 0.5,
     };
 
-    gainNode.gain.value = state.gain;
-    oscillatorNode.type = state.oscillatorType;
-    oscillatorNode.frequency.value = state.frequency;
-    oscillatorNode.start();
+    const output = notNull(this.device).addChannel(state);
 
     return this.audioChannels.push({
       state,
       wavetypeAddr,
       freqAddr,
       volAddr,
-      gainNode,
-      oscillatorNode,
+      envelopeAddr,
+      output,
     });
   },
 
+  // the envelope of a channel, with the times in seconds and the sustain level
+  // from 0 to 1
+  getEnvelope(channel)/*: Envelope */ {
+    const value = offset => Math.max(0, Memory.ram[channel.envelopeAddr + offset] || 0);
+    const decay = value(this.ENVELOPE_DECAY) / 1000;
+    return {
+      attack: value(this.ENVELOPE_ATTACK) / 1000,
+      decay,
+      sustain: decay > 0 ? Math.min(100, value(this.ENVELOPE_SUSTAIN)) / 100 : 1,
+      release: value(this.ENVELOPE_RELEASE) / 1000,
+    };
+  },
+
+  getPulseWidth(channel) {
+    const percent = Memory.ram[channel.envelopeAddr + this.PULSE_WIDTH] || 50;
+    return Math.min(99, Math.max(1, percent)) / 100;
+  },
+
   updateAudio() {
+    const device = notNull(this.device);
     this.audioChannels.forEach(channel => {
       const frequency = (Memory.ram[channel.freqAddr] || 0) / 1000;
       const gain = !CPU.running ? 0 : (Memory.ram[channel.volAddr] || 0) / 100 * this.MAX_GAIN;
       const oscillatorType = this.WAVETYPES[Memory.ram[channel.wavetypeAddr] || 0];
+      const pulseWidth = this.getPulseWidth(channel);
 
       const {state} = channel;
-      if (state.gain !== gain) {
-        channel.gainNode.gain.setValueAtTime(gain, this.audioCtx.currentTime);
-        state.gain = gain;
-      }
       if (state.oscillatorType !== oscillatorType) {
-        channel.oscillatorNode.type = oscillatorType;
+        device.setOscillatorType(channel.output, oscillatorType);
         state.oscillatorType = oscillatorType;
       }
+      if (state.pulseWidth !== pulseWidth) {
+        device.setPulseWidth(channel.output, pulseWidth);
+        state.pulseWidth = pulseWidth;
+      }
+      const noteChanged = state.gain !== gain || state.frequency !== frequency;
       if (state.frequency !== frequency) {
-        channel.oscillatorNode.frequency.setValueAtTime(frequency, this.audioCtx.currentTime);
+        device.setFrequency(channel.output, frequency);
         state.frequency = frequency;
       }
+      if (noteChanged && gain > 0) {
+        device.startNote(channel.output, gain, this.getEnvelope(channel));
+      } else if (noteChanged && state.gain > 0) {
+        device.stopNote(channel.output, this.getEnvelope(channel));
+      }
+      state.gain = gain;
     });
+    this.updatePCM();
   },
 
-  init() {
+  /*
+  The PCM channel only starts playing when the outputs are next updated, which
+  might be a few instructions later, but we check the values the program has
+  written after every instruction. That way a program which writes a bad value
+  crashes at the instruction which wrote it, like it would when writing to
+  memory which doesn't exist.
+  */
+  checkPCM() {
+    const control = Memory.ram[Memory.AUDIO_PCM_CONTROL_ADDRESS];
+    if (control === this.PCM_PLAY) {
+      const start = Memory.ram[Memory.AUDIO_PCM_BUFFER_ADDRESS] || 0;
+      const length = Math.max(0, Memory.ram[Memory.AUDIO_PCM_LENGTH_ADDRESS] || 0);
+      if (start < 0 || start + length > Memory.TOTAL_MEMORY_SIZE) {
+        throw new Error(`PCM samples at ${start} don't fit in memory with length ${length}`);
+      }
+    } else if (control && control !== this.PCM_STOP) {
+      throw new Error(`Invalid PCM control value ${control} at address ${Memory.AUDIO_PCM_CONTROL_ADDRESS}`);
+    }
+  },
+
+  updatePCM() {
+    const device = notNull(this.device);
+    const pcmChannel = notNull(this.pcmChannel);
+    // checkPCM() has already made sure the program wrote valid values
+    const control = Memory.ram[Memory.AUDIO_PCM_CONTROL_ADDRESS];
+    if (control === this.PCM_PLAY) {
+      const samples = this.getPCMSamples();
+      const sampleRate = this.getPCMSampleRate();
+      const loop = Boolean(Memory.ram[Memory.AUDIO_PCM_LOOP_ADDRESS]);
+      device.playSamples(pcmChannel.output, samples, sampleRate, loop);
+      pcmChannel.looping = loop ? {samples, sampleRate} : null;
+      Memory.write(Memory.AUDIO_PCM_CONTROL_ADDRESS, 0);
+    } else if (control === this.PCM_STOP) {
+      device.stopSamples(pcmChannel.output);
+      pcmChannel.looping = null;
+      Memory.write(Memory.AUDIO_PCM_CONTROL_ADDRESS, 0);
+    }
+
+    const gain = !CPU.running ? 0 : (Memory.ram[Memory.AUDIO_PCM_VOLUME_ADDRESS] || 0) / 100 * this.MAX_GAIN;
+    if (pcmChannel.gain !== gain) {
+      device.setSamplesGain(pcmChannel.output, gain);
+      pcmChannel.gain = gain;
+    }
+  },
+
+  // the samples to play, scaled to between -1 and 1
+  getPCMSamples()/*: Array<number> */ {
+    const start = Memory.ram[Memory.AUDIO_PCM_BUFFER_ADDRESS] || 0;
+    const length = Math.max(0, Memory.ram[Memory.AUDIO_PCM_LENGTH_ADDRESS] || 0);
+    return Memory.ram.slice(start, start + length).map(sample => {
+      const value = Math.max(-this.PCM_MAX_SAMPLE_VALUE, Math.min(this.PCM_MAX_SAMPLE_VALUE - 1, sample || 0));
+      return value / this.PCM_MAX_SAMPLE_VALUE;
+    });
+  },
+
+  getPCMSampleRate() {
+    const sampleRate = Memory.ram[Memory.AUDIO_PCM_SAMPLE_RATE_ADDRESS] || this.PCM_DEFAULT_SAMPLE_RATE;
+    return Math.min(this.PCM_MAX_SAMPLE_RATE, Math.max(this.PCM_MIN_SAMPLE_RATE, sampleRate));
+  },
+
+  init(device) {
+    this.device = device;
+    this.audioChannels = [];
+    device.init();
     this.addAudioChannel(
       Memory.AUDIO_CH1_WAVETYPE_ADDRESS,
       Memory.AUDIO_CH1_FREQUENCY_ADDRESS,
-      Memory.AUDIO_CH1_VOLUME_ADDRESS
+      Memory.AUDIO_CH1_VOLUME_ADDRESS,
+      Memory.AUDIO_ENVELOPES_START
     );
     this.addAudioChannel(
       Memory.AUDIO_CH2_WAVETYPE_ADDRESS,
       Memory.AUDIO_CH2_FREQUENCY_ADDRESS,
-      Memory.AUDIO_CH2_VOLUME_ADDRESS
+      Memory.AUDIO_CH2_VOLUME_ADDRESS,
+      Memory.AUDIO_ENVELOPES_START + this.ENVELOPE_SIZE
     );
     this.addAudioChannel(
       Memory.AUDIO_CH3_WAVETYPE_ADDRESS,
       Memory.AUDIO_CH3_FREQUENCY_ADDRESS,
-      Memory.AUDIO_CH3_VOLUME_ADDRESS
+      Memory.AUDIO_CH3_VOLUME_ADDRESS,
+      Memory.AUDIO_ENVELOPES_START + this.ENVELOPE_SIZE * 2
+    );
+    this.addAudioChannel(
+      Memory.AUDIO_CH4_WAVETYPE_ADDRESS,
+      Memory.AUDIO_CH4_FREQUENCY_ADDRESS,
+      Memory.AUDIO_CH4_VOLUME_ADDRESS,
+      Memory.AUDIO_ENVELOPES_START + this.ENVELOPE_SIZE * 3
     );
+    this.pcmChannel = {output: device.addSamplesChannel(), gain: 0, looping: null};
+  },
+};
+
+/*::
+type Envelope = {
+  attack: number,
+  decay: number,
+  sustain: number,
+  release: number,
+};
+*/
+
+/*
+Plays each channel through an oscillator and gain node using Web Audio. Web Audio
+oscillators can't make noise, so each channel also has a buffer of random values
+which plays on a loop, and whichever of the two the channel is using is connected
+to its gain node. The envelopes are played by scheduling changes to the gain.
+*/
+const WebAudioDevice = {
+  audioCtx: (null/*: ?AudioContext */),
+  noiseBuffer: (null/*: ?AudioBuffer */),
+
+  init() {
+    const AudioContext =
+      window.AudioContext || // Default
+      window.webkitAudioContext; // Safari and old versions of Chrome
+    const audioCtx = new AudioContext();
+    this.audioCtx = audioCtx;
+
+    // one second of random values, shared by all of the channels
+    const noiseBuffer = audioCtx.createBuffer(1, audioCtx.sampleRate, audioCtx.sampleRate);
+    const samples = noiseBuffer.getChannelData(0);
+    for (var i = 0; i < samples.length; i++) {
+      samples[i] = Math.random() * 2 - 1;
+    }
+    this.noiseBuffer = noiseBuffer;
+  },
+
+  addChannel(state) {
+    const audioCtx = notNull(this.audioCtx);
+    const oscillatorNode = audioCtx.createOscillator();
+    const noiseNode = audioCtx.createBufferSource();
+    noiseNode.buffer = this.noiseBuffer;
+    noiseNode.loop = true;
+    const gainNode = audioCtx.createGain();
+    gainNode.connect(audioCtx.destination);
+
+    gainNode.gain.value = state.gain;
+    const output = {gainNode, oscillatorNode, noiseNode, oscillatorType: state.oscillatorType, pulseWidth: 0.5};
+    this.setOscillatorType(output, state.oscillatorType);
+    this.setFrequency(output, state.frequency);
+    oscillatorNode.start();
+    noiseNode.start();
+
+    return output;
+  },
+
+  setOscillatorType(output, oscillatorType) {
+    output.oscillatorType = oscillatorType;
+    output.oscillatorNode.disconnect();
+    output.noiseNode.disconnect();
+    if (oscillatorType === 'noise') {
+      output.noiseNode.connect(output.gainNode);
+    } else {
+      output.oscillatorNode.connect(output.gainNode);
+      this.updateWaveform(output);
+    }
+  },
+
+  setPulseWidth(output, pulseWidth) {
+    output.pulseWidth = pulseWidth;
+    if (output.oscillatorType !== 'noise') this.updateWaveform(output);
+  },
+
+  /*
+  Web Audio only has an even square wave built in, so for other pulse widths we
+  make a 'periodic wave' out of the sine waves which add up to a pulse wave (its
+  'harmonics'), using the Fourier series of a pulse wave.
+  */
+  updateWaveform(output) {
+    if (output.oscillatorType !== 'square' || output.pulseWidth === 0.5) {
+      output.oscillatorNode.type = output.oscillatorType;
+      return;
+    }
+    const harmonics = 64;
+    const real = new Float32Array(harmonics);
+    const imag = new Float32Array(harmonics);
+    for (var n = 1; n < harmonics; n++) {
+      real[n] = (2 / (n * Math.PI)) * Math.sin(2 * Math.PI * n * output.pulseWidth);
+      imag[n] = (2 / (n * Math.PI)) * (1 - Math.cos(2 * Math.PI * n * output.pulseWidth));
+    }
+    output.oscillatorNode.setPeriodicWave(notNull(this.audioCtx).createPeriodicWave(real, imag));
+  },
+
+  setFrequency(output, frequency) {
+    const audioCtx = notNull(this.audioCtx);
+    output.oscillatorNode.frequency.setValueAtTime(frequency, audioCtx.currentTime);
+    // the noise changes to a new random value 'frequency' times per second
+    output.noiseNode.playbackRate.setValueAtTime(frequency / audioCtx.sampleRate, audioCtx.currentTime);
+  },
+
+  // each part of the envelope starts from wherever the volume is now, so
+  // starting a new note before the last one has faded away doesn't click
+  startNote(output, gain, envelope) {
+    const gainParam = output.gainNode.gain;
+    const time = notNull(this.audioCtx).currentTime;
+    gainParam.cancelScheduledValues(time);
+    gainParam.setValueAtTime(envelope.attack > 0 ? gainParam.value : gain, time);
+    gainParam.linearRampToValueAtTime(gain, time + envelope.attack);
+    if (envelope.decay > 0) {
+      gainParam.linearRampToValueAtTime(gain * envelope.sustain, time + envelope.attack + envelope.decay);
+    }
+  },
+
+  stopNote(output, envelope) {
+    const gainParam = output.gainNode.gain;
+    const time = notNull(this.audioCtx).currentTime;
+    gainParam.cancelScheduledValues(time);
+    gainParam.setValueAtTime(envelope.release > 0 ? gainParam.value : 0, time);
+    gainParam.linearRampToValueAtTime(0, time + envelope.release);
+  },
+
+  // the PCM channel plays each set of samples with a new buffer source node, as
+  // they can only be started once
+  addSamplesChannel() {
+    const audioCtx = notNull(this.audioCtx);
+    const gainNode = audioCtx.createGain();
+    gainNode.gain.value = 0;
+    gainNode.connect(audioCtx.destination);
+    return {gainNode, sourceNode: null};
+  },
+
+  playSamples(output, samples, sampleRate, loop) {
+    this.stopSamples(output);
+    if (samples.length === 0) return;
+    const audioCtx = notNull(this.audioCtx);
+    const buffer = audioCtx.createBuffer(1, samples.length, sampleRate);
+    buffer.getChannelData(0).set(samples);
+    const sourceNode = audioCtx.createBufferSource();
+    sourceNode.buffer = buffer;
+    sourceNode.loop = loop;
+    sourceNode.connect(output.gainNode);
+    sourceNode.start();
+    output.sourceNode = sourceNode;
+  },
+
+  stopSamples(output) {
+    if (!output.sourceNode) return;
+    output.sourceNode.stop();
+    output.sourceNode.disconnect();
+    output.sourceNode = null;
+  },
+
+  setSamplesGain(output, gain) {
+    output.gainNode.gain.setValueAtTime(gain, notNull(this.audioCtx).currentTime);
+  },
+
+  resume() {
+    notNull(this.audioCtx).resume();
+  },
+};
+
+// makes no sound, but the channel state is still available in Audio.audioChannels
+const NullAudioDevice = {
+  init() {},
+  addChannel(state) {
+    return null;
+  },
+  setOscillatorType(output, oscillatorType) {},
+  setPulseWidth(output, pulseWidth) {},
+  setFrequency(output, frequency) {},
+  startNote(output, gain, envelope) {},
+  stopNote(output, envelope) {},
+  addSamplesChannel() {
+    return null;
+  },
+  playSamples(output, samples, sampleRate, loop) {},
+  stopSamples(output) {},
+  setSamplesGain(output, gain) {},
+};
+
+/*
+Makes sound without a speaker, by working out the value of each 'sample' of the
+sound wave itself, so it can be saved to a file (eg. with `lvc run --wav`). This
+is called a 'software synthesizer'. Instead of the real time, it uses the
+virtual clock of deterministic mode (see the Input section), so the sound comes
+out the same however fast the simulator runs.
+
+Whenever a channel changes, we first work out all of the samples up to now with
+the old settings, then change them. The envelopes work the same way as in Web
+Audio: a list of points, with the volume changing in a straight line between
+them.
+*/
+const SynthAudioDevice = {
+  SAMPLE_RATE: 44100,
+
+  outputs: [],
+  samplesOutputs: [],
+  samples: ([]/*: Array<number> */),
+  // the sample which samples[0] is, counting from when the program started
+  firstSample: 0,
+
+  init() {
+    this.outputs = [];
+    this.samplesOutputs = [];
+    this.start();
+  },
+
+  // throw away the sound so far, and start recording from now
+  start() {
+    this.samples = [];
+    this.firstSample = this.sampleAt(CPU.cycles);
+  },
+
+  sampleAt(cycles) {
+    return Math.floor(cycles / (Input.VIRTUAL_CYCLES_PER_MILLISECOND * 1000) * this.SAMPLE_RATE);
+  },
+
+  addChannel(state) {
+    const output = {
+      oscillatorType: state.oscillatorType,
+      frequency: state.frequency,
+      pulseWidth: 0.5,
+      // how far through the current cycle of the wave we are, from 0 to 1
+      phase: 0,
+      // the pseudo-random number generator for noise (see nextNoise)
+      noiseState: 1,
+      noiseValue: 1,
+      // the envelope, as a list of [time, gain] points
+      gainPoints: [[0, state.gain]],
+    };
+    this.outputs.push(output);
+    return output;
+  },
+
+  setOscillatorType(output, oscillatorType) {
+    this.update();
+    output.oscillatorType = oscillatorType;
+  },
+
+  setPulseWidth(output, pulseWidth) {
+    this.update();
+    output.pulseWidth = pulseWidth;
+  },
+
+  setFrequency(output, frequency) {
+    this.update();
+    output.frequency = frequency;
+  },
+
+  startNote(output, gain, envelope) {
+    this.update();
+    const time = this.getTime();
+    const points = [[time, envelope.attack > 0 ? this.gainAt(output, time) : gain], [time + envelope.attack, gain]];
+    if (envelope.decay > 0) {
+      points.push([time + envelope.attack + envelope.decay, gain * envelope.sustain]);
+    }
+    output.gainPoints = points;
+  },
+
+  stopNote(output, envelope) {
+    this.update();
+    const time = this.getTime();
+    output.gainPoints = [[time, envelope.release > 0 ? this.gainAt(output, time) : 0], [time + envelope.release, 0]];
+  },
+
+  addSamplesChannel() {
+    const output = {samples: [], sampleRate: 0, loop: false, position: 0, gain: 0};
+    this.samplesOutputs.push(output);
+    return output;
+  },
+
+  playSamples(output, samples, sampleRate, loop) {
+    this.update();
+    Object.assign(output, {samples, sampleRate, loop, position: 0});
+  },
+
+  stopSamples(output) {
+    this.update();
+    output.samples = [];
+  },
+
+  setSamplesGain(output, gain) {
+    this.update();
+    output.gain = gain;
+  },
+
+  // the time in seconds of the sample we're up to
+  getTime() {
+    return (this.firstSample + this.samples.length) / this.SAMPLE_RATE;
+  },
+
+  gainAt(output, time) {
+    const points = output.gainPoints;
+    for (var i = points.length - 1; i >= 0; i--) {
+      const [pointTime, gain] = points[i];
+      if (time >= pointTime) {
+        const next = points[i + 1];
+        if (!next) return gain;
+        return gain + (next[1] - gain) * (time - pointTime) / (next[0] - pointTime);
+      }
+    }
+    return points[0][1];
+  },
+
+  // work out the samples up to the current cycle
+  update() {
+    const endSample = this.sampleAt(CPU.cycles);
+    while (this.firstSample + this.samples.length < endSample) {
+      const time = this.getTime();
+      let sample = 0;
+      this.outputs.forEach(output => {
+        sample += this.nextWaveValue(output) * this.gainAt(output, time);
+      });
+      this.samplesOutputs.forEach(output => {
+        sample += this.nextSampleValue(output) * output.gain;
+      });
+      this.samples.push(sample);
+    }
+  },
+
+  // the value of the wave of a channel at the next sample, from -1 to 1
+  nextWaveValue(output) {
+    const {phase} = output;
+    output.phase += output.frequency / this.SAMPLE_RATE;
+    if (output.phase >= 1) {
+      output.phase %= 1;
+      // noise changes to a new random value once per cycle
+      output.noiseValue = this.nextNoise(output);
+    }
+    switch (output.oscillatorType) {
+      case 'square':
+        return phase < output.pulseWidth ? 1 : -1;
+      case 'sawtooth':
+        return phase * 2 - 1;
+      case 'triangle':
+        return phase < 0.5 ? phase * 4 - 1 : 3 - phase * 4;
+      case 'sine':
+        return Math.sin(2 * Math.PI * phase);
+      case 'noise':
+        return output.noiseValue;
+      default:
+        return 0;
+    }
+  },
+
+  /*
+  The samples being played by the PCM channel usually have a different sample
+  rate to the sound we're making, so each of our samples uses whichever of theirs
+  is playing at that moment.
+  */
+  nextSampleValue(output) {
+    if (output.position >= output.samples.length) return 0;
+    const value = output.samples[Math.floor(output.position)];
+    output.position += output.sampleRate / this.SAMPLE_RATE;
+    if (output.loop && output.position >= output.samples.length) {
+      output.position %= output.samples.length;
+    }
+    return value;
+  },
+
+  /*
+  Rather than Math.random, noise comes from a 'linear feedback shift register',
+  the same simple kind of random number generator that old game consoles used to
+  make noise. This means the noise is the same every time, so a recording of a
+  program's sound is too.
+  */
+  nextNoise(output) {
+    const state = output.noiseState;
+    const feedback = (state ^ (state >> 1)) & 1;
+    output.noiseState = (state >> 1) | (feedback << 14);
+    return output.noiseState & 1 ? 1 : -1;
   },
 };
 
@@ -780,6 +2850,15 @@ splitting those lines into tokens (words), which gives us to an instruction name
 and operands for that instruction, from each line.
 */
 
+/*::
+type SourceMap = {
+  lines: Map<number, number>, // address -> line of the program text
+  labels: Map<string, number>, // label name -> address
+  defines: Map<string, number>, // define name -> value
+  symbols: Map<number, string>, // address of an operand -> label or define name used for it
+};
+*/
+
 const Assembler = {
   // we'll keep a map of instructions which take a label as an operand so we
   // know when to substitute an operand for the corresponding label address
@@ -805,7 +2884,7 @@ const Assembler = {
     try {
       for (i = 0; i < lines.length; i++) {
         line = lines[i];
-        const instruction = {name: '', operands: []};
+        const instruction = {name: '', operands: [], line: i + 1};
         let tokens = line.replace(/;.*$/, '') // strip comments
           .split(' ');
         for (let token of tokens) {
@@ -878,14 +2957,79 @@ const Assembler = {
       // otherwise it must be a parsing/syntax error
       throw new Error(`Syntax error on program line ${i+1}: '${line}'`);
     }
-    programInstructions.push({name: 'halt', operands: []});
+    programInstructions.push({name: 'halt', operands: [], line: null});
     return programInstructions;
   },
 
+  /*
+  As well as loading the program into memory, the assembler makes a 'source map',
+  which maps the values in memory back to where they came from in the program
+  text: the line each instruction was on, the addresses of the labels, the values
+  of the defines, and which operands were written using a label or define name.
+  The debugger uses it to show which line of the program is being executed, and
+  to tell you where in the program something went wrong.
+  */
+  sourceMap: (null/*: ?SourceMap */),
+
+  createSourceMap()/*: SourceMap */ {
+    return {lines: new Map(), labels: new Map(), defines: new Map(), symbols: new Map()};
+  },
+
+  getSourceMap()/*: SourceMap */ {
+    if (!this.sourceMap) this.sourceMap = this.createSourceMap();
+    return this.sourceMap;
+  },
+
+  // the line of the program text an instruction was on
+  lineForAddress(address)/*: ?number */ {
+    return this.getSourceMap().lines.get(address);
+  },
+
+  // the address of the first instruction at or after a line of the program
+  // text, or null if there are no more instructions after it
+  addressForLine(line) {
+    for (let [address, instructionLine] of this.getSourceMap().lines) {
+      if (instructionLine >= line) return address;
+    }
+    return null;
+  },
+
+  // the label at or closest before an address, eg. 'Loop' or 'Loop+4'
+  labelForAddress(address)/*: ?string */ {
+    let closest = null;
+    for (let [labelName, labelAddress] of this.getSourceMap().labels) {
+      if (labelAddress <= address && (closest == null || labelAddress > closest[1])) {
+        closest = [labelName, labelAddress];
+      }
+    }
+    if (closest == null) return null;
+    return closest[1] === address ? closest[0] : `${closest[0]}+${address - closest[1]}`;
+  },
+
+  // describe an address in a way that is easy to find in the program text, eg.
+  // '1010 (line 5, Loop+4)'
+  describeAddress(address) {
+    const details = [];
+    const line = this.lineForAddress(address);
+    if (line != null) details.push(`line ${line}`);
+    const label = this.labelForAddress(address);
+    if (label != null) details.push(label);
+    return details.length ? `${address} (${details.join(', ')})` : `${address}`;
+  },
+
+  // values in the program are loaded straight into memory, so they have to fit
+  // in a word just like values the program writes
+  checkFitsInWord(value, instruction) {
+    if (!CPU.fitsInWord(value)) {
+      throw new Error(`${value} on line ${String(instruction.line)} doesn't fit in a ${CPU.wordSize} bit word`);
+    }
+  },
+
   /*
   Having parsed our program text into an array of objects containing instruction
   name and the operands to the instruction, we need to turn those objects into
   numeric values we can store in the computer's memory, and load them in there.
+  Returns the address just past the end of the loaded program.
   */
   assembleAndLoadProgram(programInstructions) {
     // 'label' is a special case – it's not really an instruction which the CPU
@@ -894,19 +3038,34 @@ const Assembler = {
     // the memory locations in the assembled program which the labels refer to.
     const labelAddresses = {};
     let labelAddress = Memory.PROGRAM_START;
+    let lastLine = 0;
     for (let instruction of programInstructions) {
       if (instruction.name === 'label') {
         const labelName = instruction.operands[0];
         labelAddresses[labelName] = labelAddress;
       } else if (instruction.name === 'define') {
         continue;
+      } else if (instruction.name === 'data') {
+        // data values are loaded as they are, without an opcode
+        labelAddress += instruction.operands.length;
       } else {
         // advance labelAddress by the length of the instruction and its operands
         labelAddress += 1 + instruction.operands.length;
       }
+      // the halt added at the end of the program doesn't have a line, so the
+      // last line it could be blamed on is the one before it
+      if (instruction.line != null) lastLine = instruction.line;
+      if (labelAddress > Memory.PROGRAM_MEMORY_END) {
+        throw new Error(
+          `program is too large to fit in program memory, which ends at ${Memory.PROGRAM_MEMORY_END} (at line ${lastLine})`
+        );
+      }
     }
 
     const defines = {};
+    const sourceMap = this.createSourceMap();
+    Object.keys(labelAddresses).forEach(labelName => sourceMap.labels.set(labelName, labelAddresses[labelName]));
+    this.sourceMap = sourceMap;
 
     // load instructions and operands into memory
     let loadingAddress = Memory.PROGRAM_START;
@@ -916,11 +3075,16 @@ const Assembler = {
       }
       if (instruction.name === 'define') {
         defines[instruction.operands[0]] = instruction.operands[1];
+        sourceMap.defines.set(instruction.operands[0], instruction.operands[1]);
         continue;
       }
+      if (instruction.line != null) {
+        sourceMap.lines.set(loadingAddress, instruction.line);
+      }
 
       if (instruction.name === 'data') {
         for (var i = 0; i < instruction.operands.length; i++) {
+          this.checkFitsInWord(instruction.operands[i], instruction);
           Memory.ram[loadingAddress++] = instruction.operands[i];
         }
         continue;
@@ -946,6 +3110,7 @@ const Assembler = {
           throw new Error(`unknown label '${labelName}'`);
         }
         operands[labelOperandIndex] = labelAddress;
+        sourceMap.symbols.set(loadingAddress + labelOperandIndex, labelName);
       }
 
       for (var i = 0; i < operands.length; i++) {
@@ -953,6 +3118,7 @@ const Assembler = {
         if (typeof operands[i] === 'string') {
           if (operands[i] in defines) {
             value = defines[operands[i]];
+            sourceMap.symbols.set(loadingAddress, operands[i]);
           } else {
             throw new Error(`'${operands[i]}' not defined`);
           }
@@ -960,9 +3126,11 @@ const Assembler = {
           value = operands[i];
         }
 
+        this.checkFitsInWord(value, instruction);
         Memory.ram[loadingAddress++] = value;
       }
     }
+    return loadingAddress;
   },
 
   init() {
@@ -970,8 +3138,611 @@ const Assembler = {
   }
 };
 
+/*
+The disassembler does the opposite of the assembler: it turns the numbers in
+program memory back into program text, which can be edited and loaded again.
+This is useful for programs which we only have the machine code of, like a save
+state or a machine code image file.
+
+The tricky part is that there's nothing in memory to say which values are
+instructions and which are data, or where the labels were. To work it out, we
+follow the paths the program can take through the instructions, starting from
+the first one: each instruction continues on to the next one, except jumps
+(which continue from the label they jump to), branches and calls (which can
+continue from either), and instructions like 'return' and 'halt' (where we can't
+tell what comes next just by looking at memory). Any values which we never reach
+this way must be data. The addresses which instructions jump to, branch to or
+get the address of become labels.
+
+If we have the source map from when the program was assembled (see the
+Assembler), we use its label and define names too.
+*/
+const Disassembler = {
+  // instructions after which the program doesn't just continue to the next instruction
+  ENDS_PATH: new Set(['jump_to', 'return', 'return_from_interrupt', 'halt']),
+  DATA_VALUES_PER_LINE: 10,
+
+  // disassemble whatever is in program memory, up to the last value which isn't 0
+  disassembleMemory(sourceMap/*: ?SourceMap */)/*: string */ {
+    let end = Memory.PROGRAM_MEMORY_END;
+    while (end > Memory.PROGRAM_MEMORY_START && !Memory.ram[end - 1]) end--;
+    return this.disassemble(Memory.ram.slice(Memory.PROGRAM_START, end), sourceMap);
+  },
+
+  disassemble(machineCode/*: Array<number> */, sourceMap/*: ?SourceMap */)/*: string */ {
+    const start = Memory.PROGRAM_START;
+    const end = start + machineCode.length;
+    const valueAt = address => machineCode[address - start];
+    const lengthOf = name => 1 + CPU.instructions[name].operands.length;
+
+    // 1. find the instructions, by following every path through the program
+    const instructions = new Map(); // address -> instruction name
+    const operandAddresses = new Set();
+    const instructionAt = (address) => {
+      const name = CPU.opcodesToInstructions.get(valueAt(address));
+      // the assembler doesn't output the 'data' opcode itself, so we'll treat
+      // it as data too
+      if (name == null || name === 'data' || address + lengthOf(name) > end) return null;
+      for (var i = address; i < address + lengthOf(name); i++) {
+        // overlaps with an instruction we've already found
+        if (operandAddresses.has(i) || (i > address && instructions.has(i))) return null;
+      }
+      return name;
+    };
+    const labelTargetOf = (address, name) => {
+      const labelOperandIndex = Assembler.instructionsLabelOperands.get(name);
+      return labelOperandIndex == null ? null : valueAt(address + 1 + labelOperandIndex);
+    };
+
+    const toVisit = [start];
+    while (toVisit.length > 0) {
+      let address = toVisit.pop();
+      while (address >= start && address < end && !instructions.has(address)) {
+        const name = instructionAt(address);
+        if (name == null) break;
+        instructions.set(address, name);
+        for (var i = address + 1; i < address + lengthOf(name); i++) {
+          operandAddresses.add(i);
+        }
+        const target = labelTargetOf(address, name);
+        // the address of a label might be data rather than code, so only
+        // follow it if it looks like an instruction
+        if (target != null && (name !== 'copy_address_of_label' || instructionAt(target) != null)) {
+          toVisit.push(target);
+        }
+        if (this.ENDS_PATH.has(name)) break;
+        address += lengthOf(name);
+      }
+    }
+
+    // 2. an instruction which refers to an address we can't put a label on (eg.
+    // in the middle of another instruction) can't be written as program text,
+    // so it has to be written as data instead
+    let changed = true;
+    while (changed) {
+      changed = false;
+      instructions.forEach((name, address) => {
+        const target = labelTargetOf(address, name);
+        if (target == null || (target >= start && target <= end && !operandAddresses.has(target))) return;
+        instructions.delete(address);
+        for (var i = address + 1; i < address + lengthOf(name); i++) {
+          operandAddresses.delete(i);
+        }
+        changed = true;
+      });
+    }
+
+    // 3. name the labels
+    const labels = new Map(); // address -> label name
+    if (sourceMap) {
+      sourceMap.labels.forEach((address, labelName) => {
+        if (address >= start && address <= end && !operandAddresses.has(address) && !labels.has(address)) {
+          labels.set(address, labelName);
+        }
+      });
+    }
+    const labelNames = new Set(labels.values());
+    instructions.forEach((name, address) => {
+      const target = labelTargetOf(address, name);
+      if (target == null || labels.has(target)) return;
+      let labelName = `Label${target}`;
+      while (labelNames.has(labelName)) labelName += '_';
+      labels.set(target, labelName);
+      labelNames.add(labelName);
+    });
+
+    // 4. write out the program text. The assembler always adds a 'halt' to the
+    // end of the program, so we leave it off if there's one there already
+    const defines = new Map();
+    const lines = [];
+    const endsWithHalt = valueAt(end - 1) === CPU.instructionsToOpcodes.get('halt') && !operandAddresses.has(end - 1);
+    const textEnd = endsWithHalt ? end - 1 : end;
+    let address = start;
+    while (address < textEnd) {
+      const labelName = labels.get(address);
+      if (labelName != null) lines.push('', `${labelName}:`);
+
+      const name = instructions.get(address);
+      if (name != null) {
+        const operands = CPU.instructions[name].operands.map((operand, i) => {
+          const operandAddress = address + 1 + i;
+          const value = valueAt(operandAddress);
+          if (operand[1] === 'label') return notNull(labels.get(value));
+          const symbol = sourceMap && sourceMap.symbols.get(operandAddress);
+          if (symbol != null && sourceMap && sourceMap.defines.get(symbol) === value) {
+            defines.set(symbol, value);
+            return symbol;
+          }
+          return String(value);
+        });
+        lines.push([name].concat(operands).join(' '));
+        address += lengthOf(name);
+      } else {
+        // collect values up to the next label or instruction into a line of data
+        const values = [valueAt(address++)];
+        while (
+          address < textEnd &&
+          values.length < this.DATA_VALUES_PER_LINE &&
+          !labels.has(address) &&
+          !instructions.has(address)
+        ) {
+          values.push(valueAt(address++));
+        }
+        lines.push(`data ${values.join(' ')}`);
+      }
+    }
+    const endLabelName = labels.get(textEnd);
+    if (endLabelName != null) lines.push('', `${endLabelName}:`);
+
+    const defineLines = [];
+    defines.forEach((value, symbol) => defineLines.push(`define ${symbol} ${value}`));
+    return defineLines.concat(lines).join('\n').trim() + '\n';
+  },
+};
+
 // 7.SIMULATION CONTROL
 
+/*
+When a program goes wrong, it's useful to be able to go backwards and see how it
+got there. To do that, we keep a history of what each instruction changed: the
+values of the registers before and after it ran, and the values of any memory
+locations it wrote to. To 'step back', we just put the old values back.
+
+Because we also keep the new values, after stepping back we can step forward
+again through the same history (until the program is run again from an earlier
+point, which starts a new history from there). Only the most recent 'depth'
+steps are kept, so the history doesn't use up too much memory. A depth of 0
+turns off recording history, which makes the simulation run a little faster.
+
+Some memory is written between instructions, rather than by one: the page flip
+and sprite collisions at each vblank, the PCM control register, interrupts raised
+by keys being pressed, and values you change in the memory inspector. These
+writes are added to the history of the instruction before them, so stepping back
+over that instruction undoes them too. The keys and mouse buttons being held
+down aren't part of the history, because they come from the real world, except
+when replaying an input log, where they come from the log.
+*/
+const History = {
+  depth: 10000,
+
+  entries: [],
+  // how many of the entries are currently applied: this is less than
+  // entries.length after stepping back
+  position: 0,
+  // the entry for the instruction currently being executed
+  current: (null/*: ?HistoryEntry */),
+
+  clear() {
+    this.entries = [];
+    this.position = 0;
+    this.current = null;
+  },
+
+  // the state which isn't in memory, which we need to restore when stepping back
+  getRegisters()/*: HistoryRegisters */ {
+    return {
+      programCounter: CPU.programCounter,
+      stackPointer: CPU.stackPointer,
+      callDepth: CPU.callDepth,
+      status: CPU.status,
+      interruptsEnabled: CPU.interruptsEnabled,
+      cycles: CPU.cycles,
+      halted: CPU.halted,
+      timerPrescalerCount: Timer.prescalerCount,
+      dmaStallCycles: DMA.stallCycles,
+      randomState: Input.randomState,
+      lastVblankCycle: Simulation.lastVblankCycle,
+      replay: Input.replay ? {nextEvent: Input.replay.nextEvent, input: Input.getInputState()} : null,
+    };
+  },
+
+  setRegisters(registers/*: HistoryRegisters */) {
+    CPU.programCounter = registers.programCounter;
+    CPU.stackPointer = registers.stackPointer;
+    CPU.callDepth = registers.callDepth;
+    CPU.status = registers.status;
+    CPU.interruptsEnabled = registers.interruptsEnabled;
+    CPU.cycles = registers.cycles;
+    CPU.halted = registers.halted;
+    Timer.prescalerCount = registers.timerPrescalerCount;
+    DMA.stallCycles = registers.dmaStallCycles;
+    Input.randomState = registers.randomState;
+    Simulation.lastVblankCycle = registers.lastVblankCycle;
+    if (Input.replay && registers.replay) {
+      const {nextEvent, input} = registers.replay;
+      Input.replay.nextEvent = nextEvent;
+      Input.keysPressed = new Set(input.keys);
+      Input.mouseDown = input.mouseDown;
+      Input.mouseX = input.mouseX;
+      Input.mouseY = input.mouseY;
+    }
+  },
+
+  // called by CPU.step() before executing an instruction
+  begin() {
+    if (this.depth <= 0) return;
+    // running from an earlier point in the history replaces what came after
+    if (this.position < this.entries.length) {
+      this.entries.length = this.position;
+    }
+    this.current = {before: this.getRegisters(), after: null, writes: []};
+  },
+
+  // called by Memory.write() for each memory location written
+  recordWrite(address, oldValue, newValue) {
+    if (this.current) {
+      this.current.writes.push({address, oldValue, newValue});
+    } else if (this.depth > 0 && this.position > 0) {
+      // written between instructions, so it goes with the instruction before,
+      // and anything we'd stepped back over doesn't happen any more
+      this.entries.length = this.position;
+      this.entries[this.position - 1].writes.push({address, oldValue, newValue});
+    }
+  },
+
+  // called by CPU.step() after executing an instruction (even if it failed)
+  end() {
+    const entry = this.current;
+    if (!entry) return;
+    this.current = null;
+    entry.after = this.getRegisters();
+    entry.writes.forEach(write => {
+      write.newValue = Memory.ram[write.address];
+    });
+    this.entries.push(entry);
+    // trim the oldest entries in batches, because removing from the start of
+    // an array is slow
+    if (this.entries.length > this.depth + 1000) {
+      this.entries.splice(0, this.entries.length - this.depth);
+    }
+    this.position = this.entries.length;
+  },
+
+  canStepBack() {
+    return this.position > 0;
+  },
+
+  canStepForward() {
+    return this.position < this.entries.length;
+  },
+
+  stepBack() {
+    if (!this.canStepBack()) return false;
+    const entry = this.entries[--this.position];
+    for (var i = entry.writes.length - 1; i >= 0; i--) {
+      Memory.ram[entry.writes[i].address] = entry.writes[i].oldValue;
+    }
+    this.setRegisters(entry.before);
+    return true;
+  },
+
+  stepForward() {
+    if (!this.canStepForward()) return false;
+    const entry = this.entries[this.position++];
+    entry.writes.forEach(write => {
+      Memory.ram[write.address] = write.newValue;
+    });
+    this.setRegisters(notNull(entry.after));
+    return true;
+  },
+
+  // step back or forward to a position in the history
+  seek(position) {
+    while (this.position > position && this.stepBack()) {}
+    while (this.position < position && this.stepForward()) {}
+  },
+
+  /*
+  Step back until we've undone the most recent instruction which wrote to the
+  given address, so the program counter points at that instruction. Returns
+  false if there's no such instruction in the history (in which case we stay
+  where we were).
+  */
+  stepBackToWriteOf(address) {
+    for (var i = this.position - 1; i >= 0; i--) {
+      if (this.entries[i].writes.some(write => write.address === address)) {
+        this.seek(i);
+        return true;
+      }
+    }
+    return false;
+  },
+};
+
+/*::
+type HistoryRegisters = {
+  programCounter: number,
+  stackPointer: number,
+  callDepth: number,
+  status: number,
+  interruptsEnabled: boolean,
+  cycles: number,
+  halted: boolean,
+  timerPrescalerCount: number,
+  dmaStallCycles: number,
+  randomState: number,
+  lastVblankCycle: number,
+  replay: ?{nextEvent: number, input: InputLogEvent},
+};
+
+type HistoryEntry = {
+  before: HistoryRegisters,
+  after: ?HistoryRegisters,
+  writes: Array<{address: number, oldValue: number, newValue: number}>,
+};
+*/
+
+/*
+Breakpoints let you stop the program when it gets to a particular instruction,
+so you can look at what's in memory at that point, and step through from there.
+
+A breakpoint can have a condition, like `ram[0] > 10`, so it only stops the
+program when the condition is true. Conditions can compare numbers, the values
+in memory (`ram[address]`), and the registers `pc`, `sp` and `cycles`, using
+==, !=, <, <=, > and >=, and can be combined with && and ||. A breakpoint can
+also have a hit count, so it only stops the program once it has been reached
+that many times (only counting the times its condition was true).
+
+Watchpoints stop the program when it reads or writes a range of memory
+addresses, instead of when it gets to a particular instruction. They're useful
+when something is changing memory and you don't know what, like a bug in a
+program which uses a pointer, writing over the wrong part of memory.
+*/
+const Debugger = {
+  breakpoints: (new Map()/*: Map<number, Breakpoint> */),
+
+  /*
+  When we run the program again after it stopped at a breakpoint, the next
+  instruction is the one with the breakpoint on it, so we need to skip checking
+  it or we'd just stop there again straight away.
+  */
+  resumeCycle: (null/*: ?number */),
+
+  hasBreakpoint(address) {
+    return this.breakpoints.has(address);
+  },
+
+  toggleBreakpoint(address) {
+    if (this.breakpoints.has(address)) {
+      this.breakpoints.delete(address);
+    } else {
+      this.breakpoints.set(address, {
+        line: Assembler.lineForAddress(address),
+        conditionText: '',
+        condition: null,
+        hitCount: 1,
+        hits: 0,
+      });
+    }
+  },
+
+  setCondition(address, conditionText) {
+    const breakpoint = notNull(this.breakpoints.get(address));
+    // parse the condition first, so an invalid condition leaves the old one
+    breakpoint.condition = conditionText.trim() ? this.parseCondition(conditionText) : null;
+    breakpoint.conditionText = conditionText.trim();
+  },
+
+  setHitCount(address, hitCount) {
+    notNull(this.breakpoints.get(address)).hitCount = Math.max(1, hitCount);
+  },
+
+  resetHits() {
+    this.breakpoints.forEach(breakpoint => {
+      breakpoint.hits = 0;
+    });
+  },
+
+  /*
+  After the program text is changed and loaded again, the instructions may be
+  at different addresses, so we move each breakpoint to wherever the line it
+  was set on ended up.
+  */
+  moveBreakpointsToLines() {
+    const breakpoints = this.breakpoints;
+    this.breakpoints = new Map();
+    breakpoints.forEach((breakpoint, address) => {
+      const newAddress = breakpoint.line == null ? address : Assembler.addressForLine(breakpoint.line);
+      if (newAddress == null) return;
+      breakpoint.line = Assembler.lineForAddress(newAddress);
+      this.breakpoints.set(newAddress, breakpoint);
+    });
+  },
+
+  resume() {
+    this.resumeCycle = CPU.cycles;
+  },
+
+  watchpoints: ([]/*: Array<Watchpoint> */),
+
+  /*
+  We can't stop in the middle of an instruction, so when a watchpoint is hit we
+  remember the first access which hit it, and stop once the instruction is done.
+  */
+  watchpointHit: (null/*: ?WatchpointHit */),
+
+  addWatchpoint(start, end, read, write) {
+    this.watchpoints.push({start, end, read, write});
+  },
+
+  removeWatchpoint(index) {
+    this.watchpoints.splice(index, 1);
+  },
+
+  // add a watchpoint on writes to a single address, or remove it if it exists
+  toggleWatchpoint(address) {
+    const index = this.watchpoints.findIndex(watchpoint => watchpoint.start === address && watchpoint.end === address);
+    if (index === -1) {
+      this.addWatchpoint(address, address, false, true);
+    } else {
+      this.removeWatchpoint(index);
+    }
+  },
+
+  checkWatchpoints(access/*: 'read' | 'write' */, address, oldValue, newValue) {
+    if (this.watchpointHit) return;
+    for (let watchpoint of this.watchpoints) {
+      if (address >= watchpoint.start && address <= watchpoint.end && watchpoint[access]) {
+        this.watchpointHit = {access, address, instructionAddress: CPU.instructionAddress, oldValue, newValue};
+        return;
+      }
+    }
+  },
+
+  describeWatchpointHit(hit/*: WatchpointHit */) {
+    const by = `by instruction at ${Assembler.describeAddress(hit.instructionAddress)}`;
+    return hit.access === 'read' ?
+      `read ${hit.oldValue} from ${hit.address} ${by}` :
+      `wrote ${hit.newValue} to ${hit.address} (was ${hit.oldValue}) ${by}`;
+  },
+
+  // check whether the program should stop before executing the next instruction
+  shouldBreak() {
+    const breakpoint = this.breakpoints.get(CPU.programCounter);
+    if (!breakpoint || CPU.cycles === this.resumeCycle) return false;
+    // while the CPU is waiting for the DMA controller it isn't running the
+    // instruction yet, so we'll wait until it's about to
+    if (DMA.stallCycles > 0) return false;
+    if (breakpoint.condition && !breakpoint.condition()) return false;
+    breakpoint.hits++;
+    return breakpoint.hits >= breakpoint.hitCount;
+  },
+
+  /*
+  Turn the text of a condition into a function which returns whether it is true.
+  This is a small 'recursive descent' parser: each kind of expression has a
+  function to parse it, which calls the functions for the kinds of expressions
+  it is made out of. Each returns a function which calculates its value.
+  */
+  parseCondition(text/*: string */)/*: () => boolean */ {
+    const tokens = text.match(/\d+|[a-z]+|==|!=|<=|>=|&&|\|\||\S/g) || [];
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+      if (next() !== token) throw new Error(`expected '${token}' in condition '${text}'`);
+    };
+
+    const comparisons = {
+      '==': (a, b) => a === b,
+      '!=': (a, b) => a !== b,
+      '<': (a, b) => a < b,
+      '<=': (a, b) => a <= b,
+      '>': (a, b) => a > b,
+      '>=': (a, b) => a >= b,
+    };
+    const registers = {
+      pc: () => CPU.programCounter,
+      sp: () => CPU.stackPointer,
+      cycles: () => CPU.cycles,
+    };
+
+    let parseOr;
+    const parseValue = () => {
+      const token = next();
+      if (token === '-') {
+        const value = parseValue();
+        return () => -value();
+      }
+      if (token === '(') {
+        const inner = parseOr();
+        expect(')');
+        return inner;
+      }
+      if (token === 'ram') {
+        expect('[');
+        const address = parseOr();
+        expect(']');
+        // read ram directly, so checking a condition doesn't count as the
+        // program reading memory
+        return () => Memory.ram[address()] || 0;
+      }
+      if (token != null && /^\d+$/.test(token)) {
+        const number = parseInt(token, 10);
+        return () => number;
+      }
+      if (token != null && registers.hasOwnProperty(token)) {
+        return registers[token];
+      }
+      throw new Error(`unexpected '${token || 'end'}' in condition '${text}'`);
+    };
+    const parseComparison = () => {
+      const left = parseValue();
+      const compare = comparisons[peek()];
+      if (!compare) return left;
+      next();
+      const right = parseValue();
+      return () => (compare(left(), right()) ? 1 : 0);
+    };
+    const parseAnd = () => {
+      let left = parseComparison();
+      while (peek() === '&&') {
+        next();
+        const first = left;
+        const second = parseComparison();
+        left = () => (first() && second() ? 1 : 0);
+      }
+      return left;
+    };
+    parseOr = () => {
+      let left = parseAnd();
+      while (peek() === '||') {
+        next();
+        const first = left;
+        const second = parseAnd();
+        left = () => (first() || second() ? 1 : 0);
+      }
+      return left;
+    };
+
+    const condition = parseOr();
+    if (position < tokens.length) {
+      throw new Error(`unexpected '${tokens[position]}' in condition '${text}'`);
+    }
+    return () => Boolean(condition());
+  },
+};
+
+/*::
+type Breakpoint = {
+  line: ?number,
+  conditionText: string,
+  condition: ?() => boolean,
+  hitCount: number,
+  hits: number,
+};
+
+type Watchpoint = {start: number, end: number, read: boolean, write: boolean};
+
+type WatchpointHit = {
+  access: 'read' | 'write',
+  address: number,
+  instructionAddress: number,
+  oldValue: number,
+  newValue: number,
+};
+*/
+
 const Simulation = {
   CYCLES_PER_YIELD: 997,
 
@@ -986,13 +3757,26 @@ const Simulation = {
           Simulation.stop();
           break;
         }
-        CPU.step();
+        if (Debugger.shouldBreak()) {
+          Simulation.stopAtBreakpoint();
+          break;
+        }
+        Simulation.step();
+        if (Debugger.watchpointHit) {
+          Simulation.stopAtWatchpoint();
+          break;
+        }
       }
     } else {
       // run only one execution before yielding to the JS event loop so screen
       // and UI changes can be shown, and new mouse and keyboard input taken
-      CPU.step();
-      SimulatorUI.updateUI();
+      if (Debugger.shouldBreak()) {
+        Simulation.stopAtBreakpoint();
+      } else {
+        Simulation.step();
+        SimulatorUI.updateUI();
+        if (Debugger.watchpointHit) Simulation.stopAtWatchpoint();
+      }
     }
     Simulation.updateOutputs();
     if (CPU.running) {
@@ -1002,6 +3786,7 @@ const Simulation = {
 
   run() {
     CPU.running = true;
+    Debugger.resume();
     SimulatorUI.updateUI();
     SimulatorUI.updateSpeedUI();
     this.loop();
@@ -1013,12 +3798,42 @@ const Simulation = {
     SimulatorUI.updateSpeedUI();
   },
 
+  stopAtBreakpoint() {
+    this.stop();
+    SimulatorUI.showMessage(`stopped at breakpoint at ${Assembler.describeAddress(CPU.programCounter)}`);
+    SimulatorUI.updateBreakpointsUI();
+  },
+
+  stopAtWatchpoint() {
+    const hit = notNull(Debugger.watchpointHit);
+    if (CPU.running) this.stop();
+    SimulatorUI.showMessage(`stopped: ${Debugger.describeWatchpointHit(hit)}`);
+  },
+
+  /*
+  When we draw a frame, we also raise the 'vertical blank' interrupt (named after
+  the time when an old CRT screen's beam moved back to the top of the screen),
+  which programs can use to know when a frame has been shown. When running in
+  slow-mo we draw after every instruction, so we'll still only raise it once per
+  CYCLES_PER_YIELD instructions, as if running at full speed. Sprite collisions
+  are checked and display pages are flipped at the same time, so programs see
+  the same thing happen however fast the simulator is running.
+  */
+  lastVblankCycle: 0,
+
   updateOutputs() {
     Display.drawScreen();
     Audio.updateAudio();
+    if (CPU.cycles - this.lastVblankCycle >= this.CYCLES_PER_YIELD) {
+      this.lastVblankCycle = CPU.cycles;
+      Display.flipPages();
+      Display.updateSpriteCollisions();
+      Interrupts.raise(Interrupts.VBLANK);
+    }
   },
 
-  loadProgramAndReset() {
+  // Clear memory and reset the CPU and devices to the state they start in
+  resetMachine() {
     /*
     In a real computer, memory addresses which have never had any value set are
     considered 'uninitialized', and might contain any garbage value, but to keep
@@ -1031,28 +3846,260 @@ const Simulation = {
       Memory.ram[i] = 0;
     }
 
+    CPU.reset();
+    Display.reset();
+    Input.reset();
+    History.clear();
+    Debugger.resetHits();
+    this.lastVblankCycle = 0;
+  },
+
+  /*
+  Clear memory, assemble the program text and load it into memory, and reset the
+  CPU so it's ready to start running the program from the beginning. Returns the
+  address just past the end of the loaded program.
+  */
+  programText: '',
+
+  loadProgram(programText) {
+    this.resetMachine();
+    this.programText = programText;
+    return Assembler.assembleAndLoadProgram(Assembler.parseProgramText(programText));
+  },
+
+  /*
+  Like loadProgram, but for a program which has already been assembled into
+  machine code (an array of numbers), which is loaded starting at
+  Memory.PROGRAM_START.
+  */
+  loadMachineCode(machineCode/*: Array<number> */) {
+    if (Memory.PROGRAM_START + machineCode.length > Memory.PROGRAM_MEMORY_END) {
+      throw new Error('machine code is too large to fit in program memory');
+    }
+    this.resetMachine();
+    this.programText = '';
+    Assembler.sourceMap = Assembler.createSourceMap();
+    for (var i = 0; i < machineCode.length; i++) {
+      Memory.ram[Memory.PROGRAM_START + i] = machineCode[i];
+    }
+  },
+
+  loadProgramAndReset() {
     const programText = SimulatorUI.getProgramText();
     try {
-      Assembler.assembleAndLoadProgram(Assembler.parseProgramText(programText));
+      this.loadProgram(programText);
     } catch (err) {
       alert(err.message);
       console.error(err);
     }
+    Debugger.moveBreakpointsToLines();
     SimulatorUI.setLoadedProgramText(programText);
 
-    CPU.reset();
     this.updateOutputs();
     SimulatorUI.updateProgramMemoryView();
     SimulatorUI.updateUI();
     SimulatorUI.updateSpeedUI();
   },
 
+  /*
+  Run the program without any user interface, until it stops or until maxCycles
+  instructions have been executed. Returns the number of instructions executed.
+  */
+  runHeadless(maxCycles/*: number */) {
+    if (CPU.halted) return 0;
+    CPU.running = true;
+    let cycles = 0;
+    while (CPU.running && cycles < maxCycles) {
+      CPU.step();
+      cycles++;
+      if (cycles % this.CYCLES_PER_YIELD === 0) {
+        this.updateOutputs();
+      }
+    }
+    this.updateOutputs();
+    CPU.running = false;
+    return cycles;
+  },
+
+  /*
+  A 'save state' is a snapshot of everything about the computer at one moment:
+  the contents of memory, the CPU registers, the state of the devices, and the
+  program text which was loaded. Restoring it puts the computer back exactly how
+  it was, so the program continues from that point as if nothing happened.
+
+  Snapshots are plain objects which can be saved as JSON. Most of memory is
+  usually zeros, so we only store the runs of memory which aren't.
+
+  Version 1 save states might be from before the palette was in memory, so they
+  might not have any palette values (see restoreState).
+  */
+  SAVE_STATE_FORMAT: 'little-virtual-computer-save-state',
+  SAVE_STATE_VERSION: 2,
+
+  saveState() {
+    const memory = [];
+    let run = null;
+    for (var i = 0; i < Memory.TOTAL_MEMORY_SIZE; i++) {
+      if (Memory.ram[i]) {
+        if (!run) {
+          run = {start: i, values: []};
+          memory.push(run);
+        }
+        run.values.push(Memory.ram[i]);
+      } else {
+        run = null;
+      }
+    }
+
+    return {
+      format: this.SAVE_STATE_FORMAT,
+      version: this.SAVE_STATE_VERSION,
+      programText: this.programText,
+      memory,
+      cpu: {
+        programCounter: CPU.programCounter,
+        stackPointer: CPU.stackPointer,
+        callDepth: CPU.callDepth,
+        status: CPU.status,
+        interruptsEnabled: CPU.interruptsEnabled,
+        cycles: CPU.cycles,
+        wordSize: CPU.wordSize,
+        running: CPU.running,
+        halted: CPU.halted,
+      },
+      timer: {
+        prescalerCount: Timer.prescalerCount,
+      },
+      dma: {
+        stallCycles: DMA.stallCycles,
+      },
+      input: {
+        keys: Array.from(Input.keysPressed.values()),
+        mouseDown: Input.mouseDown,
+        mouseX: Input.mouseX,
+        mouseY: Input.mouseY,
+        deterministic: Input.deterministic,
+        randomSeed: Input.randomSeed,
+        randomState: Input.randomState,
+      },
+      audio: {
+        channels: Audio.audioChannels.map(channel => Object.assign({}, channel.state)),
+        pcm: {
+          gain: notNull(Audio.pcmChannel).gain,
+          looping: notNull(Audio.pcmChannel).looping,
+        },
+      },
+      lastVblankCycle: this.lastVblankCycle,
+    };
+  },
+
+  restoreState(state/*: Object */) {
+    if (state.format !== this.SAVE_STATE_FORMAT) {
+      throw new Error('not a save state');
+    }
+    if (state.version !== 1 && state.version !== this.SAVE_STATE_VERSION) {
+      throw new Error(`can't restore save state version ${state.version}, expected version ${this.SAVE_STATE_VERSION}`);
+    }
+    if (!CPU.WORD_SIZES.includes(state.cpu.wordSize)) {
+      throw new Error(`save state has an unsupported word size ${state.cpu.wordSize}`);
+    }
+
+    this.resetMachine();
+    // the program is assembled again below, and its values have to fit in the
+    // word size it was running with
+    CPU.wordSize = state.cpu.wordSize;
+    this.programText = state.programText;
+    /*
+    To get the source map for the program, we assemble it again, then clear the
+    memory so it only contains what was saved (the program might have changed
+    itself while it was running, and only the values which aren't 0 are saved,
+    so anything resetting put in memory, like the palette, needs to be cleared).
+    */
+    Assembler.sourceMap = Assembler.createSourceMap();
+    if (state.programText) {
+      Assembler.assembleAndLoadProgram(Assembler.parseProgramText(state.programText));
+    }
+    Memory.ram.fill(0);
+    state.memory.forEach(run => {
+      run.values.forEach((value, i) => {
+        Memory.ram[run.start + i] = value;
+      });
+    });
+    const paletteEnd = Memory.PALETTE_START + Display.PALETTE_SIZES[Display.PALETTE_SIZES.length - 1] * 3;
+    if (state.version === 1 && Memory.ram.slice(Memory.PALETTE_START, paletteEnd).every(value => value === 0)) {
+      // saved before the palette was in memory, so it would all be black
+      Display.reset();
+    }
+
+    CPU.programCounter = state.cpu.programCounter;
+    CPU.stackPointer = state.cpu.stackPointer;
+    CPU.callDepth = state.cpu.callDepth;
+    CPU.status = state.cpu.status;
+    CPU.interruptsEnabled = state.cpu.interruptsEnabled;
+    CPU.cycles = state.cpu.cycles;
+    CPU.running = state.cpu.running;
+    CPU.halted = state.cpu.halted;
+    Timer.prescalerCount = state.timer.prescalerCount;
+    DMA.stallCycles = state.dma ? state.dma.stallCycles : 0; // older save states don't have it
+    Input.keysPressed = new Set(state.input.keys);
+    Input.mouseDown = state.input.mouseDown;
+    Input.mouseX = state.input.mouseX;
+    Input.mouseY = state.input.mouseY;
+    Input.deterministic = state.input.deterministic;
+    Input.randomSeed = state.input.randomSeed;
+    Input.randomState = state.input.randomState;
+    // carry on counting the time from where the saved program got to
+    Input.startTime = Date.now() - Memory.ram[Memory.CURRENT_TIME_ADDRESS];
+
+    const device = notNull(Audio.device);
+    Audio.audioChannels.forEach((channel, i) => {
+      // older save states have fewer channels, and don't have all of the values
+      Object.assign(channel.state, state.audio.channels[i]);
+      device.setOscillatorType(channel.output, channel.state.oscillatorType);
+      device.setPulseWidth(channel.output, channel.state.pulseWidth);
+      device.setFrequency(channel.output, channel.state.frequency);
+      if (channel.state.gain > 0) {
+        device.startNote(channel.output, channel.state.gain, Audio.NO_ENVELOPE);
+      } else {
+        device.stopNote(channel.output, Audio.NO_ENVELOPE);
+      }
+    });
+    const pcmChannel = notNull(Audio.pcmChannel);
+    // older save states don't have the PCM channel
+    const pcm = state.audio.pcm || {gain: 0, looping: null};
+    device.stopSamples(pcmChannel.output);
+    if (pcm.looping) {
+      device.playSamples(pcmChannel.output, pcm.looping.samples, pcm.looping.sampleRate, true);
+    }
+    device.setSamplesGain(pcmChannel.output, pcm.gain);
+    pcmChannel.gain = pcm.gain;
+    pcmChannel.looping = pcm.looping;
+
+    this.lastVblankCycle = state.lastVblankCycle;
+  },
+
+  /*
+  Execute one instruction. If the program crashes, we stop the simulation and
+  show the error, so you can use the debugger to look at how it happened.
+  */
+  step() {
+    Debugger.watchpointHit = null;
+    try {
+      CPU.step();
+    } catch (err) {
+      this.stop();
+      console.error(err);
+      alert(err.message);
+    }
+  },
+
   stepOnce() {
     CPU.running = true;
-    CPU.step();
+    this.step();
     CPU.running = false;
     this.updateOutputs();
     SimulatorUI.updateUI();
+    if (Debugger.watchpointHit) this.stopAtWatchpoint();
   },
 
   runStop() {
@@ -1062,6 +4109,19 @@ const Simulation = {
       this.run();
     }
   },
+
+  /*
+  Set up each of the components of the computer, connecting the display, input
+  and audio to the given devices. Any device not given is replaced with one which
+  doesn't need a browser.
+  */
+  init(devices/*: Object */ = {}) {
+    CPU.init();
+    Display.init(devices.screen || MemoryScreenDevice);
+    Input.init(devices.input || NullInputDevice);
+    Audio.init(devices.audio || NullAudioDevice);
+    Assembler.init();
+  },
 }
 
 // 8.BUILT-IN PROGRAMS
@@ -1160,9 +4220,27 @@ define beatLengthInMS 200
 define ch1WaveTypeAddr 3000
 define ch1FreqAddr 3001
 define ch2WaveTypeAddr 3003
+define ch1AttackAddr 3020
+define ch1DecayAddr 3021
+define ch1SustainAddr 3022
+define ch1ReleaseAddr 3023
+define ch2DecayAddr 3026
+define ch2SustainAddr 3027
+define ch2ReleaseAddr 3028
+define ch2PulseWidthAddr 3029
 
 copy_to_from_constant ch1WaveTypeAddr 3 ; sine
-copy_to_from_constant ch2WaveTypeAddr 0 ; sawtooth
+copy_to_from_constant ch2WaveTypeAddr 0 ; square
+
+; shape the volume of the notes with envelopes, so they sound like instruments
+copy_to_from_constant ch1AttackAddr 10
+copy_to_from_constant ch1DecayAddr 300
+copy_to_from_constant ch1SustainAddr 60
+copy_to_from_constant ch1ReleaseAddr 150
+copy_to_from_constant ch2DecayAddr 150
+copy_to_from_constant ch2SustainAddr 40
+copy_to_from_constant ch2ReleaseAddr 80
+copy_to_from_constant ch2PulseWidthAddr 25 ; a thinner, buzzier square wave
 
 Reset:
 copy_to_from startTimeAddr currentTimeAddr ; keep time started to calculate time elapsed
@@ -1433,13 +4511,178 @@ data  62  1 130812  57
 data  62  0 587329  0
 data  62  0 622253  62
 data  62  0 261625  56
-data  64  1 130812  0
-data  64  1 195997  64
-data  64  0 261625  0
-data  64  0 622253  0
-data  64  0 622253  61
+; the song loops back to the start at beat 64, so the events at beat 0 play
+; the notes there
 data  64  0 130812  52
 data -1
+`,
+
+  'HelloText':
+`
+define displayModeAddr 2070
+define textMode 1
+define charactersStartAddr 2100
+define foregroundStartAddr 2400
+define white 1
+
+define messagePtr 0 ; address of the next character of the message
+define screenPtr 1 ; address on the screen to put it
+define colorPtr 2 ; address of the color to draw it in
+define characterAddr 3 ; address to use for temporary storage of the character
+define colorAddr 4 ; address to store the color to use
+
+copy_to_from_constant displayModeAddr textMode ; switch the display to text mode
+copy_address_of_label messagePtr Message
+copy_to_from_constant screenPtr charactersStartAddr
+copy_to_from_constant colorPtr foregroundStartAddr
+copy_to_from_constant colorAddr white
+
+PrintLoop:
+copy_to_from_ptr characterAddr messagePtr
+branch_if_equal_constant characterAddr 0 Done ; the message ends with a 0
+copy_into_ptr_from screenPtr characterAddr
+copy_into_ptr_from colorPtr colorAddr
+
+; move on to the next character of the message, and the next place on the screen
+add_constant messagePtr 1 messagePtr
+add_constant screenPtr 1 screenPtr
+add_constant colorPtr 1 colorPtr
+jump_to PrintLoop
+
+Done:
+halt
+
+Message:
+; 'Hello, world!' as ASCII character codes
+data 72 101 108 108 111 44 32 119 111 114 108 100 33 0
+`,
+
+  'Sprites':
+`
+define timerReloadAddr 2052
+define timerExpiredAddr 2055
+define spriteCollisionsAddr 2077
+define videoMemoryStart 2100
+define videoMemoryEnd 3000
+
+; the attributes of sprites 0 and 1 in the sprite attribute table
+define sprite0Enabled 3100
+define sprite0X 3101
+define sprite0Y 3102
+define sprite0Width 3103
+define sprite0Height 3104
+define sprite0Pattern 3105
+define sprite1Enabled 3108
+define sprite1X 3109
+define sprite1Y 3110
+define sprite1Width 3111
+define sprite1Height 3112
+define sprite1Pattern 3113
+; both sprites use the default transparent color, 0 (black)
+
+define pixelPtr 0 ; address of the current pixel of the background
+define colorAddr 1 ; address to store the color of the stripes
+define gray 9
+
+; draw some stripes in the background, to show the sprites are drawn over it
+copy_to_from_constant pixelPtr videoMemoryStart
+copy_to_from_constant colorAddr gray
+StripesLoop:
+copy_into_ptr_from pixelPtr colorAddr
+add_constant pixelPtr 6 pixelPtr
+branch_if_not_equal_constant pixelPtr videoMemoryEnd StripesLoop
+
+copy_to_from_constant sprite0Width 5
+copy_to_from_constant sprite0Height 5
+copy_address_of_label sprite0Pattern RedBall
+copy_to_from_constant sprite0Y 12
+copy_to_from_constant sprite0Enabled 1
+copy_to_from_constant sprite1Width 5
+copy_to_from_constant sprite1Height 5
+copy_address_of_label sprite1Pattern BlueBall
+copy_to_from_constant sprite1Y 13
+copy_to_from_constant sprite1Enabled 1
+
+; use the timer to move the sprites once every 1000 cycles
+copy_to_from_constant timerReloadAddr 1000
+
+Start:
+; start the balls just off the left and right edges of the screen
+copy_to_from_constant sprite0X -5
+copy_to_from_constant sprite1X 30
+copy_to_from_constant spriteCollisionsAddr 0
+
+MoveLoop:
+branch_if_equal_constant timerExpiredAddr 0 MoveLoop
+copy_to_from_constant timerExpiredAddr 0
+add_constant sprite0X 1 sprite0X
+subtract_constant sprite1X 1 sprite1X
+; when the balls bump into each other, start again
+branch_if_equal_constant spriteCollisionsAddr 0 MoveLoop
+jump_to Start
+
+RedBall:
+data 0 2 2 2 0
+data 2 2 5 2 2
+data 2 2 2 2 2
+data 2 2 2 2 2
+data 0 2 2 2 0
+
+BlueBall:
+data 0 4 4 4 0
+data 4 4 6 4 4
+data 4 4 4 4 4
+data 4 4 4 4 4
+data 0 4 4 4 0
+`,
+
+  'Drum':
+`
+define randomNumberAddr 2050
+define timerPrescalerAddr 2053
+define timerCounterAddr 2054
+define timerExpiredAddr 2055
+define pcmSamplesAddr 3040
+define pcmLengthAddr 3041
+define pcmSampleRateAddr 3042
+define pcmVolumeAddr 3044
+define pcmControlAddr 3045
+define play 1
+
+define samplePtr 0 ; address of the sample we're working out
+define loudness 1 ; how loud the drum is at this sample
+define sampleAddr 2 ; address to use for temporary storage of the sample
+define samplesStart 100
+define samplesLength 800 ; 800 samples at 8000 per second is 1/10 of a second
+
+; make the sound of a drum: random values (which sound like noise) which get
+; quieter and quieter
+copy_to_from_constant samplePtr samplesStart
+copy_to_from_constant loudness samplesLength
+MakeSample:
+subtract_constant randomNumberAddr 127 sampleAddr ; a random value from -127 to 127
+multiply sampleAddr loudness sampleAddr
+divide_constant sampleAddr samplesLength sampleAddr
+copy_into_ptr_from samplePtr sampleAddr
+add_constant samplePtr 1 samplePtr
+subtract_constant loudness 1 loudness
+branch_if_not_equal_constant loudness 0 MakeSample
+
+copy_to_from_constant pcmSamplesAddr samplesStart
+copy_to_from_constant pcmLengthAddr samplesLength
+copy_to_from_constant pcmSampleRateAddr 8000
+copy_to_from_constant pcmVolumeAddr 100
+; make the timer count once every 100 cycles
+copy_to_from_constant timerPrescalerAddr 100
+
+PlayDrum:
+copy_to_from_constant pcmControlAddr play
+; use the timer to wait 500 * 100 = 50000 cycles before playing it again
+copy_to_from_constant timerExpiredAddr 0
+copy_to_from_constant timerCounterAddr 500
+Wait:
+branch_if_equal_constant timerExpiredAddr 0 Wait
+jump_to PlayDrum
 `,
 
   'Custom 1': '',
@@ -1482,6 +4725,25 @@ const UI = {
     throw new Error('expected HTMLSelectElement');
   },
 
+  // save some text as a file in the user's downloads
+  download(filename, text) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], {type: 'application/json'}));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  },
+
+  // read the first file chosen in a file input, then call back with its text
+  readFile(input, callback) {
+    const file = input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => callback(String(reader.result));
+    reader.readAsText(file);
+    input.value = ''; // so choosing the same file again still triggers onchange
+  },
+
   virtualizedScrollView(container, containerHeight, itemHeight, numItems, renderItems) {
     Object.assign(container.style, {
       height: `${containerHeight}px`,
@@ -1515,9 +4777,10 @@ const UI = {
 };
 
 const SimulatorUI = {
-  selectedProgram: localStorage.getItem('selectedProgram') || 'RandomPixels',
+  selectedProgram: 'RandomPixels',
 
   initUI() {
+    this.selectedProgram = localStorage.getItem('selectedProgram') || this.selectedProgram;
     const programSelectorEl = UI.$Select('#programSelector');
     // init program selector
     Object.keys(PROGRAMS).forEach(programName => {
@@ -1528,6 +4791,29 @@ const SimulatorUI = {
     });
     programSelectorEl.value = this.selectedProgram;
     this.selectProgram();
+
+    const wordSizeEl = UI.$Select('#wordSize');
+    CPU.WORD_SIZES.forEach(wordSize => {
+      const option = document.createElement('option');
+      option.value = String(wordSize);
+      option.textContent = `${wordSize} bit`;
+      wordSizeEl.append(option);
+    });
+    wordSizeEl.value = String(CPU.wordSize);
+
+    const saveStateSlotEl = UI.$Select('#saveStateSlot');
+    this.SAVE_STATE_SLOTS.forEach(slot => {
+      const option = document.createElement('option');
+      option.value = slot;
+      option.textContent = slot;
+      saveStateSlotEl.append(option);
+    });
+    this.updateSaveStateUI();
+
+    this.updateInputLogUI();
+    this.updateBreakpointsUI();
+    MemoryInspector.init();
+    this.updateWatchpointsUI();
   },
 
   getProgramText() {
@@ -1569,6 +4855,9 @@ const SimulatorUI = {
     localStorage.setItem('selectedProgram', this.selectedProgram);
     UI.$TextArea('#program').value =
       localStorage.getItem(this.selectedProgram) || PROGRAMS[this.selectedProgram] || '';
+    // breakpoints belong to the program they were set in
+    Debugger.breakpoints.clear();
+    this.updateBreakpointsUI();
     this.updateLoadProgramButton();
   },
 
@@ -1577,6 +4866,194 @@ const SimulatorUI = {
       localStorage.setItem(this.selectedProgram, UI.$TextArea('#program').value);
     }
     this.updateLoadProgramButton();
+    this.updateProgramGutter();
+  },
+
+  /*
+  The gutter is the column of line numbers beside the program text. Clicking a
+  line number toggles a breakpoint on the instruction on that line (or the next
+  instruction after it, if that line doesn't have one).
+  */
+  updateProgramGutter() {
+    const programEl = UI.$TextArea('#program');
+    const gutterEl = UI.$('#programGutter');
+    const breakpointLines = new Set();
+    Debugger.breakpoints.forEach(breakpoint => breakpointLines.add(breakpoint.line));
+    const numLines = programEl.value.split('\n').length;
+    gutterEl.innerHTML = '';
+    for (var line = 1; line <= numLines; line++) {
+      const lineEl = document.createElement('div');
+      lineEl.className = 'gutterLine';
+      lineEl.textContent = `${breakpointLines.has(line) ? '\u25CF' : ' '} ${line}`;
+      lineEl.onclick = this.toggleBreakpointOnLine.bind(this, line);
+      gutterEl.appendChild(lineEl);
+    }
+    gutterEl.style.height = `${programEl.offsetHeight}px`;
+    this.scrollProgramGutter();
+  },
+
+  PROGRAM_LINE_HEIGHT: 14,
+  highlightedLine: (null/*: ?number */),
+
+  // highlight the line of the program text with the next instruction to be
+  // executed, scrolling to it if it's out of view
+  highlightProgramLine() {
+    const programEl = UI.$TextArea('#program');
+    // the line numbers are only right if the program text hasn't been edited
+    // since it was loaded
+    this.highlightedLine = this.loadedProgramText === this.getProgramText() ?
+      Assembler.lineForAddress(CPU.programCounter) : null;
+    if (this.highlightedLine != null) {
+      const lineTop = (this.highlightedLine - 1) * this.PROGRAM_LINE_HEIGHT;
+      if (lineTop < programEl.scrollTop || lineTop + this.PROGRAM_LINE_HEIGHT > programEl.scrollTop + programEl.clientHeight) {
+        programEl.scrollTop = lineTop - 3 * this.PROGRAM_LINE_HEIGHT;
+      }
+    }
+    this.scrollProgramGutter();
+  },
+
+  // keep the gutter and line highlight lined up with the program text when it scrolls
+  scrollProgramGutter() {
+    const scrollTop = UI.$TextArea('#program').scrollTop;
+    UI.$('#programGutter').scrollTop = scrollTop;
+    const highlightEl = UI.$('#programLineHighlight');
+    highlightEl.style.display = this.highlightedLine == null ? 'none' : 'block';
+    if (this.highlightedLine != null) {
+      // 3px for the border and padding of the textarea
+      highlightEl.style.top = `${3 + (this.highlightedLine - 1) * this.PROGRAM_LINE_HEIGHT - scrollTop}px`;
+    }
+  },
+
+  toggleBreakpointOnLine(line) {
+    if (this.loadedProgramText !== this.getProgramText()) {
+      alert('load the program before setting breakpoints in it');
+      return;
+    }
+    const address = Assembler.addressForLine(line);
+    if (address != null) this.toggleBreakpoint(address);
+  },
+
+  toggleBreakpoint(address) {
+    Debugger.toggleBreakpoint(address);
+    this.updateBreakpointsUI();
+  },
+
+  setBreakpointCondition(address, conditionText) {
+    try {
+      Debugger.setCondition(address, conditionText);
+    } catch (err) {
+      alert(err.message);
+    }
+    this.updateBreakpointsUI();
+  },
+
+  setBreakpointHitCount(address, hitCount) {
+    Debugger.setHitCount(address, parseInt(hitCount, 10) || 1);
+    this.updateBreakpointsUI();
+  },
+
+  updateBreakpointsUI() {
+    const breakpointsEl = UI.$('#breakpoints');
+    breakpointsEl.innerHTML = '';
+    Debugger.breakpoints.forEach((breakpoint, address) => {
+      const rowEl = document.createElement('div');
+
+      const removeEl = document.createElement('button');
+      removeEl.textContent = 'remove';
+      removeEl.onclick = () => this.toggleBreakpoint(address);
+
+      const conditionEl = document.createElement('input');
+      conditionEl.size = 14;
+      conditionEl.placeholder = 'eg. ram[0] > 10';
+      conditionEl.value = breakpoint.conditionText;
+      conditionEl.onchange = () => this.setBreakpointCondition(address, conditionEl.value);
+
+      const hitCountEl = document.createElement('input');
+      hitCountEl.size = 3;
+      hitCountEl.value = String(breakpoint.hitCount);
+      hitCountEl.onchange = () => this.setBreakpointHitCount(address, hitCountEl.value);
+
+      rowEl.append(
+        removeEl,
+        ` ${Assembler.describeAddress(address)} if `,
+        conditionEl,
+        ' after ',
+        hitCountEl,
+        ` hits (hit ${breakpoint.hits} times)`
+      );
+      breakpointsEl.appendChild(rowEl);
+    });
+    if (Debugger.breakpoints.size === 0) {
+      breakpointsEl.textContent = 'click a line number or a program memory address to add a breakpoint';
+    }
+    this.updateProgramGutter();
+    this.renderProgramMemoryView();
+  },
+
+  addWatchpoint() {
+    const text = UI.$Input('#watchpointRange').value;
+    const [start, end = start] = text.split('-').map(part => parseInt(part, 10));
+    if (Number.isNaN(start) || Number.isNaN(end) || end < start) {
+      alert(`invalid address range '${text}'`);
+      return;
+    }
+    Debugger.addWatchpoint(start, end, false, true);
+    this.updateWatchpointsUI();
+  },
+
+  // double clicking a row in one of the memory views toggles a watchpoint on
+  // writes to the address in that row
+  watchMemoryRow(selector) {
+    const textareaEl = UI.$TextArea(selector);
+    const rowIndex = textareaEl.value.slice(0, textareaEl.selectionStart).split('\n').length - 1;
+    const address = parseInt(textareaEl.value.split('\n')[rowIndex], 10);
+    if (Number.isNaN(address)) return;
+    Debugger.toggleWatchpoint(address);
+    this.updateWatchpointsUI();
+  },
+
+  updateWatchpointsUI() {
+    const watchpointsEl = UI.$('#watchpoints');
+    watchpointsEl.innerHTML = '';
+    Debugger.watchpoints.forEach((watchpoint, index) => {
+      const rowEl = document.createElement('div');
+
+      const removeEl = document.createElement('button');
+      removeEl.textContent = 'remove';
+      removeEl.onclick = () => {
+        Debugger.removeWatchpoint(index);
+        this.updateWatchpointsUI();
+      };
+
+      const accessCheckbox = (access) => {
+        const checkboxEl = document.createElement('input');
+        checkboxEl.type = 'checkbox';
+        checkboxEl.checked = watchpoint[access];
+        checkboxEl.onchange = () => {
+          watchpoint[access] = checkboxEl.checked;
+        };
+        return checkboxEl;
+      };
+
+      const range = watchpoint.start === watchpoint.end ? `${watchpoint.start}` : `${watchpoint.start} - ${watchpoint.end}`;
+      rowEl.append(removeEl, ` ${range} read `, accessCheckbox('read'), ' write ', accessCheckbox('write'));
+      watchpointsEl.appendChild(rowEl);
+    });
+    if (Debugger.watchpoints.length === 0) {
+      watchpointsEl.textContent = 'select an address in the memory inspector to watch for writes to it';
+    }
+    MemoryInspector.render();
+  },
+
+  showMessage(message) {
+    UI.$('#debuggerMessageArea').textContent = message;
+  },
+
+  // replace the program text with a disassembly of what's in program memory,
+  // eg. to edit a program which was loaded from a save state
+  disassembleProgram() {
+    UI.$TextArea('#program').value = Disassembler.disassembleMemory(Assembler.sourceMap);
+    this.editProgramText();
   },
 
   setSpeed() {
@@ -1584,6 +5061,149 @@ const SimulatorUI = {
     this.updateSpeedUI();
   },
 
+  // the values already in memory might not fit in the new word size, so we
+  // start the program again from the beginning
+  setWordSize() {
+    CPU.wordSize = parseInt(UI.$Select('#wordSize').value, 10);
+    Simulation.loadProgramAndReset();
+  },
+
+  // switching clocks part way through would make the time jump, and the random
+  // numbers only start from the seed at the beginning, so we start the program
+  // again from the beginning
+  setDeterministic() {
+    Input.deterministic = UI.$Input('#deterministic').checked;
+    Input.randomSeed = parseInt(UI.$Input('#randomSeed').value, 10) || 0;
+    Simulation.loadProgramAndReset();
+  },
+
+  toggleRecording() {
+    if (Input.recording) {
+      UI.download('input-log.json', JSON.stringify(Input.stopRecording()));
+    } else {
+      Input.startRecording();
+      Simulation.loadProgramAndReset(); // recording starts from the beginning of the program
+    }
+    this.updateInputLogUI();
+  },
+
+  replayInputLog() {
+    UI.readFile(UI.$Input('#inputLogFile'), text => {
+      try {
+        Input.startReplay(JSON.parse(text));
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+      UI.$Select('#wordSize').value = String(CPU.wordSize);
+      Simulation.loadProgramAndReset();
+      this.updateInputLogUI();
+    });
+  },
+
+  stopReplay() {
+    Input.stopReplay();
+    this.updateInputLogUI();
+  },
+
+  SAVE_STATE_SLOTS: ['Save state 1', 'Save state 2', 'Save state 3'],
+
+  saveStateToSlot() {
+    const slot = UI.$Select('#saveStateSlot').value;
+    localStorage.setItem(slot, JSON.stringify(Simulation.saveState()));
+    this.updateSaveStateUI();
+  },
+
+  loadStateFromSlot() {
+    const savedState = localStorage.getItem(UI.$Select('#saveStateSlot').value);
+    if (savedState) this.restoreState(savedState);
+  },
+
+  downloadState() {
+    UI.download('save-state.json', JSON.stringify(Simulation.saveState()));
+  },
+
+  loadStateFromFile() {
+    UI.readFile(UI.$Input('#saveStateFile'), text => this.restoreState(text));
+  },
+
+  // restored states always start paused, so you can look around before resuming
+  restoreState(stateJSON) {
+    if (CPU.running) Simulation.stop();
+    try {
+      // a file which isn't a save state might not even be JSON
+      Simulation.restoreState(JSON.parse(stateJSON));
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    CPU.running = false;
+
+    UI.$TextArea('#program').value = Simulation.programText;
+    this.setLoadedProgramText(Simulation.programText);
+    UI.$Select('#wordSize').value = String(CPU.wordSize);
+    this.updateInputLogUI();
+    Simulation.updateOutputs();
+    this.updateProgramMemoryView();
+    this.updateUI();
+    this.updateSpeedUI();
+  },
+
+  updateSaveStateUI() {
+    UI.$Button('#loadStateButton').disabled = !localStorage.getItem(UI.$Select('#saveStateSlot').value);
+  },
+
+  stepBack() {
+    if (CPU.running) Simulation.stop();
+    History.stepBack();
+    this.showHistoryPosition();
+  },
+
+  seekHistory() {
+    if (CPU.running) Simulation.stop();
+    History.seek(parseInt(UI.$Input('#timeline').value, 10));
+    this.showHistoryPosition();
+  },
+
+  stepBackToWrite() {
+    if (CPU.running) Simulation.stop();
+    const address = parseInt(UI.$Input('#stepBackAddress').value, 10);
+    if (Number.isNaN(address)) return;
+    if (!History.stepBackToWriteOf(address)) {
+      alert(`no write to address ${address} found in the history`);
+    }
+    this.showHistoryPosition();
+  },
+
+  setHistoryDepth() {
+    History.depth = Math.max(0, parseInt(UI.$Input('#historyDepth').value, 10) || 0);
+    if (History.depth === 0) History.clear();
+    this.updateHistoryUI();
+  },
+
+  // redraw everything after moving through the history
+  showHistoryPosition() {
+    Display.drawScreen();
+    this.updateUI();
+  },
+
+  updateHistoryUI() {
+    const timelineEl = UI.$Input('#timeline');
+    timelineEl.max = String(History.entries.length);
+    timelineEl.value = String(History.position);
+    UI.$('#historyPosition').textContent = `${History.position} / ${History.entries.length}`;
+    UI.$Button('#stepBackButton').disabled = !History.canStepBack();
+    UI.$Input('#historyDepth').value = String(History.depth);
+  },
+
+  updateInputLogUI() {
+    UI.$Input('#deterministic').checked = Input.deterministic;
+    UI.$Input('#randomSeed').value = String(Input.randomSeed);
+    UI.$Button('#recordInputButton').textContent = Input.recording ? 'stop recording and save' : 'record';
+    UI.$Button('#stopReplayButton').disabled = !Input.replay;
+    UI.$('#inputLogStatus').textContent = Input.recording ? 'recording' : Input.replay ? 'replaying' : '';
+  },
+
   setFullspeed() {
     const fullspeedEl = UI.$Input('#fullspeed');
     if (fullspeedEl && fullspeedEl.checked) {
@@ -1606,6 +5226,14 @@ const SimulatorUI = {
 
   updateUI() {
     UI.$Input('#programCounter').value = String(CPU.programCounter);
+    UI.$Input('#stackPointer').value = String(CPU.stackPointer);
+    UI.$Input('#callDepth').value = String(CPU.callDepth);
+    UI.$Input('#statusFlags').value =
+      (CPU.getFlag(CPU.FLAG_CARRY) ? 'C' : '-') +
+      (CPU.getFlag(CPU.FLAG_OVERFLOW) ? 'V' : '-') +
+      (CPU.getFlag(CPU.FLAG_ZERO) ? 'Z' : '-') +
+      (CPU.getFlag(CPU.FLAG_NEGATIVE) ? 'N' : '-') +
+      (CPU.interruptsEnabled ? 'I' : '-');
     if (CPU.halted) {
       UI.$('#running').textContent = 'halted';
       UI.$Button('#stepButton').disabled = true;
@@ -1615,35 +5243,42 @@ const SimulatorUI = {
       UI.$Button('#stepButton').disabled = false;
       UI.$Button('#runButton').disabled = false;
     }
-    this.updateWorkingMemoryView();
+    this.updateHistoryUI();
+    if (!CPU.running) this.updateBreakpointsUI();
+    MemoryInspector.update();
+    this.updatePaletteView();
     this.updateInputMemoryView();
-    this.updateVideoMemoryView();
     this.updateAudioMemoryView();
     if (Simulation.delayBetweenCycles > 300 || !CPU.running) {
       if (typeof this.scrollToProgramLine == 'function') {
         this.scrollToProgramLine(Math.max(0, CPU.programCounter - Memory.PROGRAM_MEMORY_START - 3));
       }
+      this.highlightProgramLine();
     }
   },
 
-  updateWorkingMemoryView() {
-    const lines = [];
-    for (var i = Memory.WORKING_MEMORY_START; i < Memory.WORKING_MEMORY_END; i++) {
-      lines.push(`${i}: ${Memory.ram[i]}`);
-    }
-    UI.$TextArea('#workingMemoryView').textContent = lines.join('\n');
-  },
-
   scrollToProgramLine: (item) => {},
+  renderProgramMemoryView: () => {},
   updateProgramMemoryView() {
     const lines = [];
+    // the address of the instruction each line belongs to, for setting breakpoints
+    const instructionAddresses = [];
+    const sourceMap = Assembler.getSourceMap();
     for (var i = Memory.PROGRAM_MEMORY_START; i < Memory.PROGRAM_MEMORY_END; i++) {
       const instruction = CPU.opcodesToInstructions.get(Memory.ram[i]);
-      lines.push(`${padRight(i, 4)}: ${padRight(Memory.ram[i], 8)} ${instruction || ''}`);
+      // show which line of the program text and which label each instruction is from
+      const line = Assembler.lineForAddress(i);
+      const label = sourceMap.labels.size ? Assembler.labelForAddress(i) : null;
+      const source = [line != null ? `line ${line}` : '', label || ''].join(' ').trim();
+      lines.push(`${padRight(i, 4)}: ${padRight(Memory.ram[i], 8)} ${padRight(instruction || '', 28)} ${source}`);
+      instructionAddresses.push(i);
       if (instruction) {
         const operands = CPU.instructions[instruction].operands;
         for (var j = 0; j < operands.length; j++) {
-          lines.push(`${padRight(i + 1 + j, 4)}: ${padRight(Memory.ram[i + 1 + j], 8)}   ${operands[j][0]} (${operands[j][1]})`);
+          const address = i + 1 + j;
+          const symbol = sourceMap.symbols.has(address) ? ` = ${String(sourceMap.symbols.get(address))}` : '';
+          lines.push(`${padRight(address, 4)}: ${padRight(Memory.ram[address], 8)}   ${operands[j][0]} (${operands[j][1]})${symbol}`);
+          instructionAddresses.push(i);
         }
         i += operands.length;
       }
@@ -1658,12 +5293,15 @@ const SimulatorUI = {
       (start, end) => (
         lines.slice(start, end)
           .map((l, i) => {
-            const current = Memory.PROGRAM_MEMORY_START + start + i === CPU.programCounter;
+            const address = Memory.PROGRAM_MEMORY_START + start + i;
+            const current = address === CPU.programCounter;
+            const breakpoint = Debugger.hasBreakpoint(address) ? '\u25CF' : ' ';
             return `
   <pre
     class="tablerow"
     style="height: ${itemHeight}px; background: ${current ? '#eee' : 'none'}"
-  >${l}</pre>
+    onclick="SimulatorUI.toggleBreakpoint(${instructionAddresses[start + i]})"
+  >${breakpoint} ${l}</pre>
             `;
           })
           .join('')
@@ -1674,10 +5312,23 @@ const SimulatorUI = {
       UI.$('#programMemoryView').scrollTop = item * itemHeight;
       renderProgramMemoryView(); 
     };
+    this.renderProgramMemoryView = renderProgramMemoryView;
 
     renderProgramMemoryView();
   },
 
+  // show the colors currently in the palette
+  updatePaletteView() {
+    const swatches = [];
+    for (var colorId = 0; Display.isValidColor(colorId); colorId++) {
+      const colorRGB = Display.getColor(colorId);
+      swatches.push(
+        `<span class="swatch" style="background: rgb(${colorRGB.join(',')})" title="${colorId}: ${colorRGB.join(', ')}"></span>`
+      );
+    }
+    UI.$('#paletteView').innerHTML = swatches.join('');
+  },
+
   updateInputMemoryView() {
     UI.$TextArea('#inputMemoryView').textContent =
       `${Memory.KEYCODE_0_ADDRESS}: ${padRight(Memory.ram[Memory.KEYCODE_0_ADDRESS], 8)} keycode 0
@@ -1688,30 +5339,250 @@ ${Memory.MOUSE_Y_ADDRESS}: ${padRight(Memory.ram[Memory.MOUSE_Y_ADDRESS], 8)} mo
 ${Memory.MOUSE_PIXEL_ADDRESS}: ${padRight(Memory.ram[Memory.MOUSE_PIXEL_ADDRESS], 8)} mouse pixel
 ${Memory.MOUSE_BUTTON_ADDRESS}: ${padRight(Memory.ram[Memory.MOUSE_BUTTON_ADDRESS], 8)} mouse button
 ${Memory.RANDOM_NUMBER_ADDRESS}: ${padRight(Memory.ram[Memory.RANDOM_NUMBER_ADDRESS], 8)} random number
-${Memory.CURRENT_TIME_ADDRESS}: ${padRight(Memory.ram[Memory.CURRENT_TIME_ADDRESS], 8)} current time`;
+${Memory.CURRENT_TIME_ADDRESS}: ${padRight(Memory.ram[Memory.CURRENT_TIME_ADDRESS], 8)} current time
+${Memory.TIMER_RELOAD_ADDRESS}: ${padRight(Memory.ram[Memory.TIMER_RELOAD_ADDRESS], 8)} timer reload value
+${Memory.TIMER_PRESCALER_ADDRESS}: ${padRight(Memory.ram[Memory.TIMER_PRESCALER_ADDRESS], 8)} timer prescaler
+${Memory.TIMER_COUNTER_ADDRESS}: ${padRight(Memory.ram[Memory.TIMER_COUNTER_ADDRESS], 8)} timer counter
+${Memory.TIMER_EXPIRED_ADDRESS}: ${padRight(Memory.ram[Memory.TIMER_EXPIRED_ADDRESS], 8)} timer expired
+${Memory.INTERRUPT_ENABLE_MASK_ADDRESS}: ${padRight(Memory.ram[Memory.INTERRUPT_ENABLE_MASK_ADDRESS], 8)} interrupt enable mask
+${Memory.INTERRUPT_PENDING_ADDRESS}: ${padRight(Memory.ram[Memory.INTERRUPT_PENDING_ADDRESS], 8)} pending interrupts
+${Memory.INTERRUPT_VECTOR_TIMER_ADDRESS}: ${padRight(Memory.ram[Memory.INTERRUPT_VECTOR_TIMER_ADDRESS], 8)} timer interrupt handler
+${Memory.INTERRUPT_VECTOR_KEY_DOWN_ADDRESS}: ${padRight(Memory.ram[Memory.INTERRUPT_VECTOR_KEY_DOWN_ADDRESS], 8)} key down interrupt handler
+${Memory.INTERRUPT_VECTOR_KEY_UP_ADDRESS}: ${padRight(Memory.ram[Memory.INTERRUPT_VECTOR_KEY_UP_ADDRESS], 8)} key up interrupt handler
+${Memory.INTERRUPT_VECTOR_VBLANK_ADDRESS}: ${padRight(Memory.ram[Memory.INTERRUPT_VECTOR_VBLANK_ADDRESS], 8)} vblank interrupt handler
+${Memory.INTERRUPT_KEYCODE_ADDRESS}: ${padRight(Memory.ram[Memory.INTERRUPT_KEYCODE_ADDRESS], 8)} interrupt keycode
+${Memory.DISPLAY_MODE_ADDRESS}: ${padRight(Memory.ram[Memory.DISPLAY_MODE_ADDRESS], 8)} display mode
+${Memory.DISPLAY_RESOLUTION_ADDRESS}: ${padRight(Memory.ram[Memory.DISPLAY_RESOLUTION_ADDRESS], 8)} display resolution
+${Memory.FRAMEBUFFER_ADDRESS}: ${padRight(Memory.ram[Memory.FRAMEBUFFER_ADDRESS], 8)} framebuffer address
+${Memory.PAGE_1_FRAMEBUFFER_ADDRESS}: ${padRight(Memory.ram[Memory.PAGE_1_FRAMEBUFFER_ADDRESS], 8)} page 1 framebuffer address
+${Memory.DISPLAY_PAGE_ADDRESS}: ${padRight(Memory.ram[Memory.DISPLAY_PAGE_ADDRESS], 8)} display page
+${Memory.PAGE_FLIP_ADDRESS}: ${padRight(Memory.ram[Memory.PAGE_FLIP_ADDRESS], 8)} page flip
+${Memory.PALETTE_MODE_ADDRESS}: ${padRight(Memory.ram[Memory.PALETTE_MODE_ADDRESS], 8)} palette mode
+${Memory.SPRITE_COLLISIONS_ADDRESS}: ${padRight(Memory.ram[Memory.SPRITE_COLLISIONS_ADDRESS], 8)} sprite collisions
+${Memory.DISPLAY_WIDTH_ADDRESS}: ${padRight(Memory.ram[Memory.DISPLAY_WIDTH_ADDRESS], 8)} display width
+${Memory.DISPLAY_HEIGHT_ADDRESS}: ${padRight(Memory.ram[Memory.DISPLAY_HEIGHT_ADDRESS], 8)} display height
+${Memory.DMA_SOURCE_ADDRESS}: ${padRight(Memory.ram[Memory.DMA_SOURCE_ADDRESS], 8)} DMA source
+${Memory.DMA_DESTINATION_ADDRESS}: ${padRight(Memory.ram[Memory.DMA_DESTINATION_ADDRESS], 8)} DMA destination
+${Memory.DMA_LENGTH_ADDRESS}: ${padRight(Memory.ram[Memory.DMA_LENGTH_ADDRESS], 8)} DMA length
+${Memory.DMA_ROWS_ADDRESS}: ${padRight(Memory.ram[Memory.DMA_ROWS_ADDRESS], 8)} DMA rows
+${Memory.DMA_SOURCE_STRIDE_ADDRESS}: ${padRight(Memory.ram[Memory.DMA_SOURCE_STRIDE_ADDRESS], 8)} DMA source stride
+${Memory.DMA_DESTINATION_STRIDE_ADDRESS}: ${padRight(Memory.ram[Memory.DMA_DESTINATION_STRIDE_ADDRESS], 8)} DMA destination stride
+${Memory.DMA_FILL_VALUE_ADDRESS}: ${padRight(Memory.ram[Memory.DMA_FILL_VALUE_ADDRESS], 8)} DMA fill value
+${Memory.DMA_START_ADDRESS}: ${padRight(Memory.ram[Memory.DMA_START_ADDRESS], 8)} DMA start`;
   },
 
-  updateVideoMemoryView() {
+  updateAudioMemoryView() {
     const lines = [];
-    for (var i = Memory.VIDEO_MEMORY_START; i < Memory.VIDEO_MEMORY_END; i++) {
-      lines.push(`${i}: ${Memory.ram[i]}`);
+    const addLine = (address, name) => lines.push(`${address}: ${padRight(Memory.ram[address], 8)} ${name}`);
+    Audio.audioChannels.forEach((channel, i) => {
+      addLine(channel.wavetypeAddr, `audio ch${i + 1} wavetype`);
+      addLine(channel.freqAddr, `audio ch${i + 1} frequency`);
+      addLine(channel.volAddr, `audio ch${i + 1} volume`);
+    });
+    Audio.audioChannels.forEach((channel, i) => {
+      addLine(channel.envelopeAddr + Audio.ENVELOPE_ATTACK, `audio ch${i + 1} attack`);
+      addLine(channel.envelopeAddr + Audio.ENVELOPE_DECAY, `audio ch${i + 1} decay`);
+      addLine(channel.envelopeAddr + Audio.ENVELOPE_SUSTAIN, `audio ch${i + 1} sustain`);
+      addLine(channel.envelopeAddr + Audio.ENVELOPE_RELEASE, `audio ch${i + 1} release`);
+      addLine(channel.envelopeAddr + Audio.PULSE_WIDTH, `audio ch${i + 1} pulse width`);
+    });
+    addLine(Memory.AUDIO_PCM_BUFFER_ADDRESS, 'PCM samples address');
+    addLine(Memory.AUDIO_PCM_LENGTH_ADDRESS, 'PCM length');
+    addLine(Memory.AUDIO_PCM_SAMPLE_RATE_ADDRESS, 'PCM sample rate');
+    addLine(Memory.AUDIO_PCM_LOOP_ADDRESS, 'PCM loop');
+    addLine(Memory.AUDIO_PCM_VOLUME_ADDRESS, 'PCM volume');
+    addLine(Memory.AUDIO_PCM_CONTROL_ADDRESS, 'PCM control');
+    UI.$TextArea('#audioMemoryView').textContent = lines.join('\n');
+  },
+}
+
+/*
+The memory inspector shows every memory location in the computer, ten to a row,
+so you can look at (and change) memory while the program is paused. Values can
+be shown in different ways depending on what they're used for: as signed numbers
+(the way the arithmetic instructions treat them), as unsigned decimal numbers
+(where negative numbers show up as the big positive numbers with the same bits),
+as hexadecimal (which makes it easier to see the bits when using the bitwise
+instructions), as the instructions they are the opcodes of, or as the colors
+they'd be if they were in video memory. Locations which changed
+since the last time the inspector was updated are highlighted.
+*/
+const MemoryInspector = {
+  COLUMNS: 10,
+  ROW_HEIGHT: 16,
+  HEIGHT: 200,
+  MODES: ['decimal', 'hex', 'signed', 'opcode', 'color'],
+
+  mode: 'signed',
+  selectedAddress: (null/*: ?number */),
+  // the values of memory when the inspector was last updated, to find the changes
+  previousValues: ([]/*: Array<number> */),
+  changedAddresses: (new Set()/*: Set<number> */),
+  render: () => {},
+
+  init() {
+    const containerEl = UI.$('#memoryInspector');
+    this.render = UI.virtualizedScrollView(
+      containerEl,
+      this.HEIGHT,
+      this.ROW_HEIGHT,
+      Math.ceil(Memory.TOTAL_MEMORY_SIZE / this.COLUMNS),
+      (start, end) => {
+        const rows = [];
+        for (var row = start; row < end; row++) {
+          rows.push(this.renderRow(row));
+        }
+        return rows.join('');
+      }
+    );
+    containerEl.onclick = (event) => {
+      // ignore clicks on a cell which is already being edited
+      if (!(event.target instanceof HTMLElement) || event.target instanceof HTMLInputElement) return;
+      const cellEl = event.target.closest('.memoryCell');
+      if (!(cellEl instanceof HTMLElement)) return;
+      this.clickCell(cellEl, parseInt(cellEl.dataset.address, 10));
+    };
+
+    const modeEl = UI.$Select('#memoryInspectorMode');
+    this.MODES.forEach(mode => {
+      const option = document.createElement('option');
+      option.value = mode;
+      // decimal shows the unsigned value, like hex does
+      option.textContent = mode === 'decimal' ? 'decimal (unsigned)' : mode;
+      modeEl.append(option);
+    });
+    modeEl.value = this.mode;
+    this.previousValues = Memory.ram.slice();
+  },
+
+  renderRow(row) {
+    const cells = [];
+    for (var column = 0; column < this.COLUMNS; column++) {
+      const address = row * this.COLUMNS + column;
+      if (address >= Memory.TOTAL_MEMORY_SIZE) break;
+      const classNames = ['memoryCell'];
+      if (this.changedAddresses.has(address)) classNames.push('changed');
+      if (address === this.selectedAddress) classNames.push('selected');
+      if (Debugger.watchpoints.some(watchpoint => address >= watchpoint.start && address <= watchpoint.end)) {
+        classNames.push('watched');
+      }
+      const text = this.formatValue(Memory.ram[address]);
+      const title = `${address}: ${this.mode === 'color' ? Memory.ram[address] : text}`;
+      cells.push(`<span class="${classNames.join(' ')}" data-address="${address}" title="${title}">${text}</span>`);
     }
-    UI.$TextArea('#videoMemoryView').textContent = lines.join('\n');
+    return `<pre class="tablerow" style="height: ${this.ROW_HEIGHT}px">${padRight(row * this.COLUMNS, 5)}${cells.join('')}</pre>`;
   },
 
-  updateAudioMemoryView() {
-    UI.$TextArea('#audioMemoryView').textContent =
-  `${Memory.AUDIO_CH1_WAVETYPE_ADDRESS}: ${padRight(Memory.ram[Memory.AUDIO_CH1_WAVETYPE_ADDRESS], 8)} audio ch1 wavetype
-${Memory.AUDIO_CH1_FREQUENCY_ADDRESS}: ${padRight(Memory.ram[Memory.AUDIO_CH1_FREQUENCY_ADDRESS], 8)} audio ch1 frequency
-${Memory.AUDIO_CH1_VOLUME_ADDRESS}: ${padRight(Memory.ram[Memory.AUDIO_CH1_VOLUME_ADDRESS], 8)} audio ch1 volume
-${Memory.AUDIO_CH2_WAVETYPE_ADDRESS}: ${padRight(Memory.ram[Memory.AUDIO_CH2_WAVETYPE_ADDRESS], 8)} audio ch2 wavetype
-${Memory.AUDIO_CH2_FREQUENCY_ADDRESS}: ${padRight(Memory.ram[Memory.AUDIO_CH2_FREQUENCY_ADDRESS], 8)} audio ch2 frequency
-${Memory.AUDIO_CH2_VOLUME_ADDRESS}: ${padRight(Memory.ram[Memory.AUDIO_CH2_VOLUME_ADDRESS], 8)} audio ch2 volume
-${Memory.AUDIO_CH3_WAVETYPE_ADDRESS}: ${padRight(Memory.ram[Memory.AUDIO_CH3_WAVETYPE_ADDRESS], 8)} audio ch3 wavetype
-${Memory.AUDIO_CH3_FREQUENCY_ADDRESS}: ${padRight(Memory.ram[Memory.AUDIO_CH3_FREQUENCY_ADDRESS], 8)} audio ch3 frequency
-${Memory.AUDIO_CH3_VOLUME_ADDRESS}: ${padRight(Memory.ram[Memory.AUDIO_CH3_VOLUME_ADDRESS], 8)} audio ch3 volume`;
+  formatValue(value) {
+    switch (this.mode) {
+      case 'decimal':
+        return String(CPU.toUnsignedWord(value));
+      case 'hex':
+        return CPU.toUnsignedWord(value).toString(16);
+      case 'signed':
+        return String(CPU.toWord(value));
+      case 'opcode':
+        return CPU.opcodesToInstructions.get(value) || String(value);
+      case 'color': {
+        if (!Display.isValidColor(value)) return String(value);
+        const color = Display.getColor(value);
+        return `<span class="swatch" style="background: rgb(${color.join(',')})"></span>${value}`;
+      }
+      default:
+        throw new Error(`unknown memory inspector mode '${this.mode}'`);
+    }
   },
-}
+
+  // turn text typed into a cell back into a value, the opposite of formatValue
+  parseValue(text) {
+    const trimmed = text.trim();
+    let value = NaN;
+    if (this.mode === 'hex') {
+      value = parseInt(trimmed.replace(/^0x/i, ''), 16);
+    } else if (this.mode === 'opcode' && CPU.instructionsToOpcodes.has(trimmed)) {
+      value = CPU.instructionsToOpcodes.get(trimmed);
+    } else if (/^-?\d+$/.test(trimmed)) {
+      value = parseInt(trimmed, 10);
+    }
+    // unsigned values which are too big to fit in a (signed) word are stored
+    // as the negative number with the same bits
+    if (value != null && value >= 0 && value < Math.pow(2, CPU.wordSize)) {
+      value = CPU.toWord(value);
+    }
+    if (value == null || !CPU.fitsInWord(value)) {
+      throw new Error(`'${text}' isn't a value which fits in a ${CPU.wordSize} bit word`);
+    }
+    return value;
+  },
+
+  // update the highlighted changes and redraw the rows in view
+  update() {
+    this.changedAddresses = new Set();
+    for (var i = 0; i < Memory.TOTAL_MEMORY_SIZE; i++) {
+      if (Memory.ram[i] !== this.previousValues[i]) this.changedAddresses.add(i);
+    }
+    this.previousValues = Memory.ram.slice();
+    this.render();
+  },
+
+  setMode() {
+    this.mode = UI.$Select('#memoryInspectorMode').value;
+    this.render();
+  },
+
+  goToAddress() {
+    const address = parseInt(UI.$Input('#memoryInspectorAddress').value, 10);
+    if (Number.isNaN(address) || address < 0 || address >= Memory.TOTAL_MEMORY_SIZE) return;
+    this.selectedAddress = address;
+    UI.$('#memoryInspector').scrollTop = Math.floor(address / this.COLUMNS) * this.ROW_HEIGHT;
+    this.render();
+  },
+
+  // clicking a cell selects it, and lets you change its value if the program is paused
+  clickCell(cellEl, address) {
+    this.selectedAddress = address;
+    UI.$Input('#memoryInspectorAddress').value = String(address);
+    if (CPU.running) {
+      this.render();
+      return;
+    }
+    const inputEl = document.createElement('input');
+    inputEl.className = 'memoryCellInput';
+    inputEl.value = this.mode === 'color' ? String(Memory.ram[address]) : cellEl.textContent;
+    let done = false;
+    const finishEditing = (save) => {
+      if (done) return;
+      done = true;
+      if (save) {
+        try {
+          // write directly rather than with Memory.set, as it's not the
+          // program changing memory, so it shouldn't trigger watchpoints
+          Memory.write(address, this.parseValue(inputEl.value));
+        } catch (err) {
+          alert(err.message);
+        }
+        // keep the edit from being highlighted as a change made by the program
+        this.previousValues[address] = Memory.ram[address];
+      }
+      SimulatorUI.updateUI();
+    };
+    inputEl.onkeydown = (event) => {
+      if (event.key === 'Enter') finishEditing(true);
+      if (event.key === 'Escape') finishEditing(false);
+    };
+    inputEl.onblur = () => finishEditing(true);
+    cellEl.textContent = '';
+    cellEl.appendChild(inputEl);
+    inputEl.focus();
+    inputEl.select();
+  },
+
+  toggleWatchpoint() {
+    if (this.selectedAddress == null) return;
+    Debugger.toggleWatchpoint(this.selectedAddress);
+    SimulatorUI.updateWatchpointsUI();
+  },
+};
 
 function clamp(val, min, max) {
   return Math.min(min, Math.max(max, val));
@@ -1732,20 +5603,47 @@ function notNull(val) {
   throw new Error('unexpected null');
 }
 
-CPU.init();
-Display.init();
-Input.init();
-Audio.init();
-Assembler.init();
-SimulatorUI.initScreen(Display.SCREEN_WIDTH, Display.SCREEN_HEIGHT, Display.SCREEN_PIXEL_SCALE);
-SimulatorUI.initUI();
-Simulation.loadProgramAndReset();
-
-// enable audio to work with chrome autoplay policy :'(
-if (!document.body) throw new Error('DOM not ready');
-function resumeAudio() {
+if (typeof document !== 'undefined') {
+  // running in the browser, so start up the simulator user interface
+  Simulation.init({
+    screen: CanvasScreenDevice,
+    input: BrowserInputDevice,
+    audio: WebAudioDevice,
+  });
+  SimulatorUI.initUI();
+  Simulation.loadProgramAndReset();
+
+  // enable audio to work with chrome autoplay policy :'(
   if (!document.body) throw new Error('DOM not ready');
-  document.body.removeEventListener('click', resumeAudio);
-  Audio.audioCtx.resume()
+  const resumeAudio = () => {
+    if (!document.body) throw new Error('DOM not ready');
+    document.body.removeEventListener('click', resumeAudio);
+    WebAudioDevice.resume();
+  };
+  document.body.addEventListener('click', resumeAudio);
+}
+
+// when loaded as a Node.js module, export the components so they can be used
+// without a browser, eg. `require('./computer1').Simulation.init()`
+if (typeof module !== 'undefined' && module.exports) {
+  (module/*: any */).exports = {
+    Memory,
+    CPU,
+    Interrupts,
+    Timer,
+    DMA,
+    Display,
+    Input,
+    Audio,
+    Assembler,
+    Disassembler,
+    History,
+    Debugger,
+    Simulation,
+    PROGRAMS,
+    MemoryScreenDevice,
+    NullInputDevice,
+    NullAudioDevice,
+    SynthAudioDevice,
+  };
 }
-document.body.addEventListener('click', resumeAudio);
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+
+/*
+A command line tool for assembling and running programs for the simulated
+computer without a browser. Run `lvc help` to see how to use it.
+
+Assembled programs are saved as 'machine code image' files, which are JSON files
+containing the numeric values which get loaded into program memory.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const {
+  Memory,
+  CPU,
+  Display,
+  Input,
+  Audio,
+  Assembler,
+  Disassembler,
+  History,
+  Simulation,
+  MemoryScreenDevice,
+  SynthAudioDevice,
+} = require('./computer1');
+
+const IMAGE_FORMAT = 'little-virtual-computer-image';
+const IMAGE_VERSION = 1;
+
+const DEFAULT_MAX_CYCLES = 1000000;
+
+const USAGE = `usage:
+  lvc asm <program.lvc> [-o <program.img>]
+    assemble a program into a machine code image file
+
+  lvc disasm <program.img | state.json> [-o <program.lvc>]
+    turn a machine code image or the program in a save state back into program
+    text which can be edited and assembled again
+
+  lvc run <program.lvc | program.img | state.json> [options]
+    run a program (source, image or save state) without a browser, until it
+    halts or the maximum number of cycles have been executed
+    options:
+      --cycles <n>        maximum number of instructions to run (default ${DEFAULT_MAX_CYCLES})
+      --seconds <n>       run for this many seconds of the virtual clock used when
+                          running deterministically, instead of --cycles
+      --word-size <bits>  size of a word in bits (${CPU.WORD_SIZES.join(', ')}, default ${CPU.wordSize})
+      --seed <n>          run deterministically: use this seed for the random
+                          number generator, and a clock based on cycles executed
+      --replay <log>      replay keyboard and mouse input from an input log file
+                          saved by the simulator (also runs deterministically,
+                          with the word size the log was recorded with)
+      --save-state <file> save the state of the computer when finished, which can
+                          be loaded in the simulator or run again with lvc run
+      --dump <start-end>  print the values in a range of memory addresses when
+                          finished (inclusive, can be given more than once)
+      --screen ascii      print the screen as text, one hex digit per pixel color
+                          (two in the 256 color palette mode, or in text mode,
+                          the characters on the screen)
+      --screen ppm        write the screen as a PPM image
+      -o <file>           file to write the screen to instead of stdout
+      --wav <file>        record the sound the program makes to a WAV file
+                          (also runs deterministically)
+`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = {
+    command: argv[0],
+    file: null,
+    output: null,
+    cycles: DEFAULT_MAX_CYCLES,
+    dumps: [],
+    screen: null,
+    wordSize: CPU.wordSize,
+    seed: null,
+    replay: null,
+    saveState: null,
+    wav: null,
+  };
+
+  // --cycles and --seconds both set the number of cycles to run for
+  let cyclesArg = null;
+  for (var i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    if (arg === '--cycles' || arg === '--seconds') {
+      if (cyclesArg != null && cyclesArg !== arg) {
+        throw new UsageError(`${cyclesArg} and ${arg} can't be used together`);
+      }
+      cyclesArg = arg;
+    }
+
+    switch (arg) {
+      case '-o':
+      case '--output':
+        args.output = value();
+        break;
+      case '--cycles':
+        args.cycles = parseInt(value(), 10);
+        if (Number.isNaN(args.cycles)) throw new UsageError('--cycles must be a number');
+        break;
+      case '--word-size':
+        args.wordSize = parseInt(value(), 10);
+        if (!CPU.WORD_SIZES.includes(args.wordSize)) {
+          throw new UsageError(`--word-size must be one of ${CPU.WORD_SIZES.join(', ')}`);
+        }
+        break;
+      case '--seconds': {
+        const seconds = parseFloat(value());
+        if (Number.isNaN(seconds)) throw new UsageError('--seconds must be a number');
+        args.cycles = Math.round(seconds * 1000 * Input.VIRTUAL_CYCLES_PER_MILLISECOND);
+        break;
+      }
+      case '--seed':
+        args.seed = parseInt(value(), 10);
+        if (Number.isNaN(args.seed)) throw new UsageError('--seed must be a number');
+        break;
+      case '--replay':
+        args.replay = value();
+        break;
+      case '--save-state':
+        args.saveState = value();
+        break;
+      case '--wav':
+        args.wav = value();
+        break;
+      case '--dump':
+        args.dumps.push(parseRange(value()));
+        break;
+      case '--screen':
+        args.screen = value();
+        if (args.screen !== 'ascii' && args.screen !== 'ppm') {
+          throw new UsageError(`unknown screen format '${args.screen}'`);
+        }
+        break;
+      default:
+        if (arg.startsWith('-') || args.file != null) {
+          throw new UsageError(`unexpected argument '${arg}'`);
+        }
+        args.file = arg;
+    }
+  }
+  return args;
+}
+
+// parses '10-20' or '10' into [start, end] (inclusive)
+function parseRange(text) {
+  const [start, end = start] = text.split('-').map(part => parseInt(part, 10));
+  if (Number.isNaN(start) || Number.isNaN(end) || end < start) {
+    throw new UsageError(`invalid address range '${text}'`);
+  }
+  return [start, end];
+}
+
+function assemble(sourcePath) {
+  const end = Simulation.loadProgram(fs.readFileSync(sourcePath, 'utf8'));
+  return Memory.ram.slice(Memory.PROGRAM_START, end);
+}
+
+function readImage(imagePath) {
+  const image = JSON.parse(fs.readFileSync(imagePath, 'utf8'));
+  if (image.format !== IMAGE_FORMAT || image.version !== IMAGE_VERSION) {
+    throw new Error(`${imagePath} is not a machine code image file`);
+  }
+  return image.machineCode;
+}
+
+// returns the format of a JSON file (an image or a save state), or null for
+// program source
+function jsonFileFormat(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  try {
+    return JSON.parse(text).format;
+  } catch (err) {
+    return null; // not JSON, so it must be program source
+  }
+}
+
+function dumpMemory([start, end]) {
+  const lines = [];
+  for (var i = start; i <= end; i++) {
+    lines.push(`${i}: ${Memory.get(i)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function screenAsText() {
+  if (Memory.ram[Memory.DISPLAY_MODE_ADDRESS] === Display.TEXT_MODE) return textModeScreenAsText();
+  const [width, height] = Display.getSize();
+  const pixels = [];
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      pixels.push(Memory.ram[Display.addressAt(x, y)] || 0);
+    }
+  }
+  // sprites are drawn over the top of the framebuffer
+  Display.forEachSpritePixel((sprite, pixelIndex, colorId) => {
+    pixels[pixelIndex] = colorId;
+  });
+  // color IDs above 15 take two hex digits, so in the 256 color palette mode
+  // every pixel gets two, to keep the columns lined up
+  const paletteSize = Display.PALETTE_SIZES[Memory.ram[Memory.PALETTE_MODE_ADDRESS] || 0] || Display.PALETTE_SIZES[0];
+  const digits = (paletteSize - 1).toString(16).length;
+  const rows = [];
+  for (var y = 0; y < height; y++) {
+    const row = pixels.slice(y * width, (y + 1) * width);
+    rows.push(row.map(colorId => colorId.toString(16).padStart(digits, '0')).join(''));
+  }
+  return rows.join('\n') + '\n';
+}
+
+function textModeScreenAsText() {
+  const rows = [];
+  for (var y = 0; y < Display.TEXT_ROWS; y++) {
+    let row = '';
+    for (var x = 0; x < Display.TEXT_COLUMNS; x++) {
+      const characterCode = Memory.ram[Display.getFramebufferAddress() + y * Display.TEXT_COLUMNS + x] || 0;
+      const hasCharacter = Display.FONT_ROM[characterCode - Display.FONT_ROM_FIRST_CHARACTER] != null;
+      row += hasCharacter ? String.fromCharCode(characterCode) : ' ';
+    }
+    rows.push(row);
+  }
+  return rows.join('\n') + '\n';
+}
+
+// a PPM is about the simplest image file format there is: a short text header
+// followed by the red, green and blue bytes of each pixel. We use the last frame
+// the display drew, so it looks just like it would in the browser.
+function screenAsPPM() {
+  const {width, height, pixelsRGBA} = MemoryScreenDevice;
+  const header = Buffer.from(`P6\n${width} ${height}\n255\n`, 'ascii');
+  const pixels = Buffer.alloc(width * height * 3);
+  for (var i = 0; i < width * height; i++) {
+    pixels[i * 3] = pixelsRGBA[i * 4];
+    pixels[i * 3 + 1] = pixelsRGBA[i * 4 + 1];
+    pixels[i * 3 + 2] = pixelsRGBA[i * 4 + 2];
+  }
+  return Buffer.concat([header, pixels]);
+}
+
+// a WAV file is a short header describing the format of the sound, followed by
+// each sample as a 16 bit number
+function audioAsWAV(samples, sampleRate) {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => {
+    data.writeInt16LE(Math.round(Math.max(-1, Math.min(1, sample)) * 32767), i * 2);
+  });
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // size of the format chunk
+  header.writeUInt16LE(1, 20); // uncompressed samples
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // bytes per second
+  header.writeUInt16LE(2, 32); // bytes per sample
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function writeOutput(output, data) {
+  if (output) {
+    fs.writeFileSync(output, data);
+  } else {
+    process.stdout.write(data);
+  }
+}
+
+const commands = {
+  asm(args) {
+    if (!args.file) throw new UsageError('no program file given');
+    const sourcePath = args.file;
+    const machineCode = assemble(sourcePath);
+    const output = args.output ||
+      path.join(path.dirname(sourcePath), path.basename(sourcePath, path.extname(sourcePath)) + '.img');
+    const image = {format: IMAGE_FORMAT, version: IMAGE_VERSION, machineCode};
+    fs.writeFileSync(output, JSON.stringify(image) + '\n');
+    process.stderr.write(`wrote ${machineCode.length} values to ${output}\n`);
+  },
+
+  disasm(args) {
+    if (!args.file) throw new UsageError('no program file given');
+    const format = jsonFileFormat(args.file);
+    if (format === IMAGE_FORMAT) {
+      writeOutput(args.output, Disassembler.disassemble(readImage(args.file)));
+    } else if (format === Simulation.SAVE_STATE_FORMAT) {
+      Simulation.restoreState(JSON.parse(fs.readFileSync(args.file, 'utf8')));
+      // save states include the program text when there is one, so we can use
+      // the label and define names from it
+      writeOutput(args.output, Disassembler.disassembleMemory(Assembler.sourceMap));
+    } else {
+      throw new UsageError(`${args.file} is not a machine code image or save state file`);
+    }
+  },
+
+  run(args) {
+    if (!args.file) throw new UsageError('no program file given');
+    // there's no debugger to step back with, so recording history would just
+    // slow things down
+    History.depth = 0;
+    CPU.wordSize = args.wordSize;
+    if (args.seed != null) {
+      Input.deterministic = true;
+      Input.randomSeed = args.seed;
+    }
+    if (args.replay != null) {
+      Input.startReplay(JSON.parse(fs.readFileSync(args.replay, 'utf8')));
+    }
+    if (args.wav) {
+      // the synthesizer uses the virtual clock, so the sound is the same every time
+      Input.deterministic = true;
+      Audio.init(SynthAudioDevice);
+    }
+    const format = jsonFileFormat(args.file);
+    if (format === IMAGE_FORMAT) {
+      Simulation.loadMachineCode(readImage(args.file));
+    } else if (format === Simulation.SAVE_STATE_FORMAT) {
+      Simulation.restoreState(JSON.parse(fs.readFileSync(args.file, 'utf8')));
+    } else {
+      Simulation.loadProgram(fs.readFileSync(args.file, 'utf8'));
+    }
+
+    SynthAudioDevice.start(); // only record what happens from here on
+    const cycles = Simulation.runHeadless(args.cycles);
+    process.stderr.write(`${CPU.halted ? 'halted' : 'stopped'} after ${cycles} cycles\n`);
+    if (args.saveState) {
+      fs.writeFileSync(args.saveState, JSON.stringify(Simulation.saveState()) + '\n');
+    }
+
+    if (args.wav) {
+      SynthAudioDevice.update();
+      fs.writeFileSync(args.wav, audioAsWAV(SynthAudioDevice.samples, SynthAudioDevice.SAMPLE_RATE));
+    }
+
+    args.dumps.forEach(range => process.stdout.write(dumpMemory(range)));
+    Display.drawScreen(); // in case nothing was run, eg. for a halted save state
+    if (args.screen === 'ascii') {
+      writeOutput(args.output, screenAsText());
+    } else if (args.screen === 'ppm') {
+      writeOutput(args.output, screenAsPPM());
+    }
+  },
+
+  help() {
+    process.stdout.write(USAGE);
+  },
+};
+
+function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const command = commands[args.command || 'help'];
+    if (!command) throw new UsageError(`unknown command '${args.command}'`);
+    Simulation.init();
+    command(args);
+  } catch (err) {
+    process.stderr.write(`lvc: ${err.message}\n`);
+    if (err instanceof UsageError) process.stderr.write(USAGE);
+    process.exitCode = 1;
+  }
+}
+
+main();